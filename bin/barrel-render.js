@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  BarrelRenderer,
+  Canvas2DRenderer,
+  DEFAULT_SETTINGS,
+  createTypingSchedule,
+  drawText,
+  evaluateTimeline,
+  getBuiltInPresets,
+  getTypingState,
+  hasTransparency,
+  parsePreset,
+  validateSettings,
+} from '../lib/core.js';
+
+// --- barrel-render ---
+// Renders the effect without a browser: the text is drawn by the same
+// text layout code on a @napi-rs/canvas canvas, and the same shaders run in a
+// headless-gl context. On Linux without a GPU, headless-gl renders in software
+// through Mesa; run it under `xvfb-run -a`. Without "gl" or a context, the
+// CPU renderer takes over. Needs `npm run build:lib` when run from a
+// checkout.
+
+const USAGE = `Usage: barrel-render [options]
+
+Renders a PNG still, a GIF or a PNG frame sequence of the barrel distortion
+effect, or one output per row of a CSV/JSON batch.
+
+Options:
+  --text <text>          Text to render; "\\n" starts a new line
+  --preset <file.json>   Preset exported from the editor
+  --look <name>          Built-in look (${getBuiltInPresets().map(preset => `"${preset.name}"`).join(', ')})
+  --set <key=value>      Override a setting; repeatable
+  --font <file>          Register a .ttf/.otf/.woff2 file, named after the file; repeatable
+  --out <path>           Output file, or directory for frames. In a batch,
+                         {row} is replaced by the row number (default: out-{row}.png)
+  --format <format>      png, gif or frames (default: from the extension of --out)
+  --time <seconds>       Moment of the animation for PNG stills (default: 0)
+  --batch <file>         CSV with a header row, or a JSON array of objects.
+                         Columns: out, preset, look, text and any setting
+  -h, --help             Show this help
+`;
+
+// --- Settings ---
+
+// Converts a string from the command line or a CSV cell to the type of the
+// setting's default. Validation clamps it afterwards.
+const parseValue = (key, value) => {
+  if (typeof value !== 'string') return value;
+  const fallback = DEFAULT_SETTINGS[key];
+  if (typeof fallback === 'number') return Number(value);
+  if (typeof fallback === 'boolean') return ['true', '1', 'yes', 'on'].includes(value.toLowerCase());
+  if (typeof fallback === 'object') return JSON.parse(value);
+  return value;
+};
+
+const loadPreset = async (path) => {
+  const { settings, warnings } = parsePreset(await readFile(path, 'utf8'));
+  warnings.forEach(warning => console.warn(`${path}: ${warning}`));
+  return settings;
+};
+
+// Settings for one output: defaults, then the preset or built-in look, then
+// single settings and the text. Built-in looks keep the given text and size.
+const resolveSettings = async ({ preset, look, text, overrides }) => {
+  let settings = DEFAULT_SETTINGS;
+  if (preset) settings = await loadPreset(preset);
+  if (look) {
+    const builtIn = getBuiltInPresets().find(entry => entry.name.toLowerCase() === look.toLowerCase());
+    if (!builtIn) throw new Error(`Unknown look "${look}"`);
+    settings = { ...builtIn.settings, text: settings.text, width: settings.width, height: settings.height };
+  }
+  const merged = { ...settings };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = parseValue(key, value);
+  });
+  if (text !== undefined) merged.text = text.replace(/\\n/g, '\n');
+
+  const { settings: valid, warnings } = validateSettings(merged);
+  warnings.forEach(warning => console.warn(warning));
+  return valid;
+};
+
+// --- Batch Input ---
+
+// Parses CSV (RFC 4180: quoted fields may hold commas, quotes and newlines)
+// into objects keyed by the header row.
+const parseCsv = (source) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell !== ''));
+  return records.map(cells => Object.fromEntries(
+    header.map((key, i) => [key.trim(), cells[i] ?? '']).filter(([, value]) => value !== '')
+  ));
+};
+
+const loadBatch = async (path) => {
+  const source = await readFile(path, 'utf8');
+  if (extname(path).toLowerCase() === '.json') {
+    const rows = JSON.parse(source);
+    if (!Array.isArray(rows)) throw new Error(`${path} must hold an array of objects`);
+    return rows;
+  }
+  return parseCsv(source);
+};
+
+// --- Rendering ---
+
+const loadModule = async (name) => {
+  try {
+    return (await import(name)).default;
+  } catch {
+    throw new Error(`barrel-render needs the "${name}" package: npm install ${name}`);
+  }
+};
+
+const warn = error => console.warn(`barrel-render: ${error.message}`);
+
+// Creates a WebGL renderer for one output size, or returns null without the
+// "gl" package or a context. headless-gl contexts have a fixed size, so
+// BarrelRenderer gets a stand-in canvas around one.
+const createWebGLRenderer = async (width, height) => {
+  const createGL = await import('gl').then(module => module.default, () => null);
+  const gl = createGL?.(width, height, { preserveDrawingBuffer: true, alpha: true });
+  if (!gl) return null;
+  const renderer = new BarrelRenderer({ width, height, getContext: () => gl }, { onError: warn });
+  return {
+    // Straight-alpha RGBA pixels of the last frame, top row first. The
+    // renderer works in premultiplied alpha, as a browser canvas does.
+    readPixels: () => {
+      const pixels = new Uint8Array(width * height * 4);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      const flipped = new Uint8ClampedArray(pixels.length);
+      const rowSize = width * 4;
+      for (let y = 0; y < height; y++) {
+        flipped.set(pixels.subarray((height - 1 - y) * rowSize, (height - y) * rowSize), y * rowSize);
+      }
+      for (let i = 0; i < flipped.length; i += 4) {
+        const alpha = flipped[i + 3];
+        if (alpha === 0 || alpha === 255) continue;
+        flipped[i] = (flipped[i] * 255) / alpha;
+        flipped[i + 1] = (flipped[i + 1] * 255) / alpha;
+        flipped[i + 2] = (flipped[i + 2] * 255) / alpha;
+      }
+      return flipped;
+    },
+    renderer,
+    dispose: () => {
+      renderer.dispose();
+      gl.getExtension('STACKGL_destroy_context')?.destroy();
+    },
+  };
+};
+
+let warnedAboutCpu = false;
+
+// The WebGL renderer where possible, else the much slower CPU renderer on a
+// canvas from @napi-rs/canvas.
+const createRenderer = async (width, height, createCanvas) => {
+  const webgl = await createWebGLRenderer(width, height);
+  if (webgl) return webgl;
+  if (!warnedAboutCpu) {
+    warnedAboutCpu = true;
+    console.warn('barrel-render: WebGL is unavailable (install "gl"; without a display, run under xvfb-run -a). ' +
+      'Rendering on the CPU, which is slower.');
+  }
+  const canvas = createCanvas(width, height);
+  const renderer = new Canvas2DRenderer(canvas, { onError: warn, createCanvas });
+  return {
+    readPixels: () => canvas.getContext('2d').getImageData(0, 0, width, height).data,
+    renderer,
+    dispose: () => renderer.dispose(),
+  };
+};
+
+// Renders `settings` at each of `times` (seconds), calling
+// `onFrame(pixels, index)` with the RGBA pixels, as the editor's exports do:
+// the timeline and typing animation are evaluated per frame.
+const renderFrames = async (settings, times, onFrame) => {
+  const { createCanvas } = await import('@napi-rs/canvas').catch(() => {
+    throw new Error('barrel-render needs the "@napi-rs/canvas" package: npm install @napi-rs/canvas');
+  });
+  const { width, height, text } = settings;
+  const textCanvas = createCanvas(width, height);
+  const typingSchedule = settings.enableTypingAnimation ? createTypingSchedule(text, settings) : null;
+  const { renderer, readPixels, dispose } = await createRenderer(width, height, createCanvas);
+  try {
+    for (let index = 0; index < times.length; index++) {
+      const time = times[index];
+      const frameSettings = evaluateTimeline(settings, time);
+      const typing = typingSchedule ? getTypingState(typingSchedule, time, settings) : null;
+      drawText(textCanvas, text, { ...frameSettings, ...typing });
+      // Rendered like the editor's exports
+      renderer.setParams({ ...frameSettings, quality: 'high', supersampling: frameSettings.exportSupersampling });
+      renderer.setSource(textCanvas);
+      renderer.render(time);
+      await onFrame(readPixels(), index);
+    }
+  } finally {
+    dispose();
+  }
+};
+
+// Frame times of the clip: the typing animation when enabled, else the
+// timeline, at the timeline's fps
+const getClipTimes = (settings) => {
+  const { timeline } = settings;
+  const duration = settings.enableTypingAnimation
+    ? createTypingSchedule(settings.text, settings).duration
+    : timeline.duration;
+  const numFrames = Math.max(1, Math.round(duration * timeline.fps));
+  return Array.from({ length: numFrames }, (_, i) => i / timeline.fps);
+};
+
+const encodePng = async (pixels, width, height) => {
+  const { createCanvas } = await import('@napi-rs/canvas');
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+  imageData.data.set(pixels);
+  ctx.putImageData(imageData, 0, 0);
+  return canvas.encode('png');
+};
+
+// --- Outputs ---
+
+const writePng = async (settings, out, time) => {
+  await renderFrames(settings, [time], async (pixels) => {
+    await writeFile(out, await encodePng(pixels, settings.width, settings.height));
+  });
+};
+
+// One PNG per frame in the directory `out`
+const writeFrames = async (settings, out) => {
+  await mkdir(out, { recursive: true });
+  const times = getClipTimes(settings);
+  const digits = String(times.length).length;
+  await renderFrames(settings, times, async (pixels, index) => {
+    const filename = `frame-${String(index + 1).padStart(Math.max(3, digits), '0')}.png`;
+    await writeFile(join(out, filename), await encodePng(pixels, settings.width, settings.height));
+  });
+};
+
+// GIF at the timeline's fps. The transparent modes and translucent
+// backgrounds keep 1-bit transparency.
+const writeGif = async (settings, out) => {
+  const { GIFEncoder, quantize, applyPalette } = await loadModule('gifenc');
+  const { width, height, timeline } = settings;
+  const transparent = hasTransparency(settings);
+  const gif = GIFEncoder();
+  // A typing animation that doesn't loop plays once
+  const repeat = settings.enableTypingAnimation && !settings.typingLoop ? -1 : 0;
+  await renderFrames(settings, getClipTimes(settings), (pixels, index) => {
+    const palette = quantize(pixels, 256, transparent ? { format: 'rgba4444', oneBitAlpha: true } : {});
+    const transparentIndex = transparent ? palette.findIndex(color => color[3] === 0) : -1;
+    gif.writeFrame(applyPalette(pixels, palette, transparent ? 'rgba4444' : 'rgb565'), width, height, {
+      palette,
+      delay: 1000 / timeline.fps,
+      repeat: index === 0 ? repeat : undefined,
+      transparent: transparentIndex >= 0,
+      transparentIndex: Math.max(0, transparentIndex),
+    });
+  });
+  gif.finish();
+  await writeFile(out, gif.bytes());
+};
+
+const getFormat = (format, out) => {
+  if (format) return format;
+  const extension = extname(out).toLowerCase();
+  if (extension === '.gif') return 'gif';
+  if (extension === '.png') return 'png';
+  return 'frames';
+};
+
+const writeOutput = async (settings, { out, format, time }) => {
+  await mkdir(dirname(out), { recursive: true });
+  const outputFormat = getFormat(format, out);
+  if (outputFormat === 'png') return writePng(settings, out, time);
+  if (outputFormat === 'gif') return writeGif(settings, out);
+  if (outputFormat === 'frames') return writeFrames(settings, out);
+  throw new Error(`Unknown format "${outputFormat}" (png, gif or frames)`);
+};
+
+// --- Main ---
+
+const registerFonts = async (paths) => {
+  if (paths.length === 0) return;
+  const { GlobalFonts } = await import('@napi-rs/canvas');
+  paths.forEach((path) => {
+    const family = basename(path, extname(path));
+    if (!GlobalFonts.registerFromPath(resolve(path), family)) {
+      throw new Error(`Could not load the font ${path}`);
+    }
+  });
+};
+
+const parseOverrides = (pairs) => Object.fromEntries(pairs.map((pair) => {
+  const separator = pair.indexOf('=');
+  if (separator < 1) throw new Error(`--set expects key=value, got "${pair}"`);
+  return [pair.slice(0, separator), pair.slice(separator + 1)];
+}));
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      text: { type: 'string' },
+      preset: { type: 'string' },
+      look: { type: 'string' },
+      set: { type: 'string', multiple: true, default: [] },
+      font: { type: 'string', multiple: true, default: [] },
+      out: { type: 'string' },
+      format: { type: 'string' },
+      time: { type: 'string', default: '0' },
+      batch: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  await registerFonts(values.font);
+  const overrides = parseOverrides(values.set);
+  const time = Number(values.time) || 0;
+
+  if (!values.batch) {
+    const settings = await resolveSettings({ ...values, overrides });
+    const out = values.out ?? 'out.png';
+    await writeOutput(settings, { out, format: values.format, time });
+    console.log(`Wrote ${out}`);
+    return 0;
+  }
+
+  // One output per row; failed rows are reported and skipped
+  const rows = await loadBatch(values.batch);
+  const pattern = values.out ?? 'out-{row}.png';
+  let failures = 0;
+  for (let i = 0; i < rows.length; i++) {
+    const { out, preset, look, text, ...columns } = rows[i];
+    const target = out ?? pattern.replace(/\{row\}/g, String(i + 1));
+    try {
+      const settings = await resolveSettings({
+        preset: preset ?? values.preset,
+        look: look ?? values.look,
+        text: text ?? values.text,
+        overrides: { ...overrides, ...columns },
+      });
+      await writeOutput(settings, { out: target, format: values.format, time });
+      console.log(`Wrote ${target}`);
+    } catch (error) {
+      failures++;
+      console.error(`Row ${i + 1} (${target}): ${error.message}`);
+    }
+  }
+  console.log(`${rows.length - failures} of ${rows.length} rendered`);
+  return failures > 0 ? 1 : 0;
+};
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`barrel-render: ${error.message}`);
+    process.exitCode = 1;
+  });
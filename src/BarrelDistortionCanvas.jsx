@@ -0,0 +1,377 @@
+import React, { useEffect, useRef, useCallback, useImperativeHandle, useMemo } from 'react';
+import { createRenderer } from './createRenderer';
+import { DEFAULT_SETTINGS } from './defaultSettings';
+import { isFontLoaded, loadFont } from './fonts';
+import { RendererError } from './rendering';
+import { createTextSource, createMediaSource } from './sources';
+
+// Renderer params for the current mode: exports sample in 'high' quality and
+// supersample by `exportSupersampling`, the live preview uses
+// `previewQuality` at one sample per pixel.
+const getRenderParams = (state) => (state.capturing ? state.captureParams : state.params);
+
+// --- The React Component ---
+// Headless renderer: every effect parameter comes in as a prop, nothing is
+// edited here. Props not listed below (`passes` and each pass's settings such
+// as `distortion` or `noise`) are handed to the renderer as they are.
+// Exports go through the imperative handle exposed on `ref` (also passed to
+// `onReady` once the renderer is set up). All WebGL work lives in
+// BarrelRenderer; this component only feeds it props and a source.
+//
+// Rendering problems never alert or throw from here; they go to `onError` as
+// a RendererError (see rendering.js), or to the console without it. Where
+// WebGL is unavailable the CPU renderer takes over ('unavailable'). After a
+// GPU reset ('context-lost') the renderer rebuilds itself and
+// `onContextRestored` is called; exports throw while the context is lost.
+//
+// The source is the rendered `text` unless `media` is given: an <img>,
+// <video>, <canvas> or MediaStream drawn over the background with `mediaFit`.
+//
+// `text` may use the markup described in textLayout.js (**bold**,
+// {color:#f00}…{/color}). The text texture waits for its font (`fontFamily`,
+// `fontWeight`, `fontItalic`) to load, so it never shows a fallback face.
+//
+// `visibleLength` and `cursor` show a typing animation step: only the first
+// `visibleLength` characters of `text` are drawn, in their final layout.
+//
+// The live preview follows the clock unless `frozenTime` (seconds) holds it
+// at one moment of the effects' animation.
+//
+// With `onLensCenterChange`, dragging on the canvas reports the new lens
+// center as (x, y) in 0..1 output coordinates.
+//
+// `width`/`height` set the output resolution. The live preview renders at the
+// displayed size times devicePixelRatio (never above the output size); call
+// `beginCapture()` before drawing frames for export to get full resolution,
+// and `endCapture()` afterwards. `previewQuality` ('fast' or 'high') sets how
+// the preview samples the distorted image; captured frames are always 'high'
+// and rendered `exportSupersampling` times larger per axis, then averaged.
+const BarrelDistortionCanvas = ({
+  ref,
+  text = DEFAULT_SETTINGS.text,
+  width = DEFAULT_SETTINGS.width,
+  height = DEFAULT_SETTINGS.height,
+  fontSize = DEFAULT_SETTINGS.fontSize,
+  fontFamily = DEFAULT_SETTINGS.fontFamily,
+  fontWeight = DEFAULT_SETTINGS.fontWeight,
+  fontItalic = DEFAULT_SETTINGS.fontItalic,
+  letterSpacing = DEFAULT_SETTINGS.letterSpacing,
+  lineSpacing = DEFAULT_SETTINGS.lineSpacing,
+  fontColor = DEFAULT_SETTINGS.fontColor,
+  bgColor = DEFAULT_SETTINGS.bgColor,
+  bgOpacity = DEFAULT_SETTINGS.bgOpacity,
+  bgGradient = DEFAULT_SETTINGS.bgGradient,
+  bgGradientColor = DEFAULT_SETTINGS.bgGradientColor,
+  bgGradientAngle = DEFAULT_SETTINGS.bgGradientAngle,
+  transparencyMode = DEFAULT_SETTINGS.transparencyMode,
+  textAlign = DEFAULT_SETTINGS.textAlign,
+  textPadding = DEFAULT_SETTINGS.textPadding,
+  textStrokeWidth = DEFAULT_SETTINGS.textStrokeWidth,
+  textStrokeColor = DEFAULT_SETTINGS.textStrokeColor,
+  textGradient = DEFAULT_SETTINGS.textGradient,
+  textGradientColor = DEFAULT_SETTINGS.textGradientColor,
+  textShadowColor = DEFAULT_SETTINGS.textShadowColor,
+  textShadowOpacity = DEFAULT_SETTINGS.textShadowOpacity,
+  textShadowBlur = DEFAULT_SETTINGS.textShadowBlur,
+  textShadowOffsetX = DEFAULT_SETTINGS.textShadowOffsetX,
+  textShadowOffsetY = DEFAULT_SETTINGS.textShadowOffsetY,
+  mediaFit = DEFAULT_SETTINGS.mediaFit,
+  previewQuality = DEFAULT_SETTINGS.previewQuality,
+  exportSupersampling = DEFAULT_SETTINGS.exportSupersampling,
+  visibleLength,
+  cursor = null,
+  frozenTime = null,
+  media = null,
+  onReady,
+  onError,
+  onContextRestored,
+  onLensCenterChange,
+  className,
+  style,
+  ...effectParams
+}) => {
+  // --- Refs ---
+  const canvasRef = useRef(null);
+  const textSourceRef = useRef(null);
+  const mediaSourceRef = useRef(null);
+  const rendererRef = useRef(null);
+  const latestState = useRef({});
+  const onReadyRef = useRef(onReady);
+  const onErrorRef = useRef(onError);
+  const onContextRestoredRef = useRef(onContextRestored);
+
+  // --- Imperative API (stable across renders) ---
+  const api = useMemo(() => ({
+    getCanvas: () => canvasRef.current,
+    // `overrides` (e.g. settings evaluated from a timeline) apply to this
+    // frame only; the props take over again afterwards.
+    drawScene: (time, overrides) => {
+      const renderer = rendererRef.current;
+      if (!renderer) return;
+      if (renderer.contextLost) {
+        throw new RendererError('context-lost', 'The graphics context was lost; try again once the preview is back');
+      }
+      if (!overrides) {
+        renderer.render(time);
+        return;
+      }
+      renderer.setParams(overrides);
+      renderer.render(time);
+      renderer.setParams(getRenderParams(latestState.current));
+    },
+    updateTextTexture: (textToRender, overrides) => latestState.current.updateTextTexture?.(textToRender, overrides),
+    beginCapture: () => {
+      latestState.current.capturing = true;
+      rendererRef.current?.stop();
+      rendererRef.current?.setParams(latestState.current.captureParams);
+      const { width: outputWidth, height: outputHeight } = latestState.current.size;
+      canvasRef.current.width = outputWidth;
+      canvasRef.current.height = outputHeight;
+    },
+    endCapture: () => {
+      latestState.current.capturing = false;
+      rendererRef.current?.setParams(latestState.current.params);
+      latestState.current.resizePreview?.();
+      rendererRef.current?.start();
+    },
+  }), []);
+  useImperativeHandle(ref, () => api, [api]);
+
+  // --- Effects ---
+
+  // Keep the latest callbacks without re-running the WebGL setup
+  useEffect(() => {
+    onReadyRef.current = onReady;
+    onErrorRef.current = onError;
+    onContextRestoredRef.current = onContextRestored;
+  }, [onReady, onError, onContextRestored]);
+  
+  // Effect to sync props to the renderer on every render. Missing props fall
+  // back to the defaults rather than keeping a previous value.
+  useEffect(() => {
+    const params = { ...DEFAULT_SETTINGS, ...effectParams, bgColor, bgOpacity, transparencyMode };
+    latestState.current.params = { ...params, quality: previewQuality, supersampling: 1 };
+    latestState.current.captureParams = { ...params, quality: 'high', supersampling: exportSupersampling };
+    rendererRef.current?.setParams(getRenderParams(latestState.current));
+  });
+
+  // Effect to hold the live loop at `frozenTime`
+  useEffect(() => {
+    latestState.current.frozenTime = frozenTime;
+    rendererRef.current?.setFrozenTime(frozenTime);
+  }, [frozenTime]);
+
+  // Sizes the preview canvas to its displayed size in device pixels, keeping
+  // the output aspect ratio. Skipped while an export is capturing frames.
+  const resizePreview = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || latestState.current.capturing) return;
+    const { width: outputWidth, height: outputHeight } = latestState.current.size;
+    const dpr = window.devicePixelRatio || 1;
+    const rect = canvas.getBoundingClientRect();
+    const displayScale = Math.max(rect.width / outputWidth, rect.height / outputHeight) * dpr;
+    const scale = displayScale > 0 ? Math.min(1, displayScale) : 1;
+    canvas.width = Math.max(1, Math.round(outputWidth * scale));
+    canvas.height = Math.max(1, Math.round(outputHeight * scale));
+  }, []);
+
+  useEffect(() => {
+    latestState.current.resizePreview = resizePreview;
+  }, [resizePreview]);
+
+  // This function can now be called on-demand to update the text texture.
+  // While a media source is active the text is drawn but not shown. If the
+  // font isn't loaded yet, the texture is drawn once it is, unless a later
+  // call has drawn it by then.
+  const updateTextTexture = useCallback((textToRender, overrides) => {
+    if (!textSourceRef.current || !rendererRef.current) return;
+    
+    const options = {
+      fontSize,
+      fontFamily,
+      fontWeight,
+      fontItalic,
+      letterSpacing,
+      lineSpacing,
+      fontColor,
+      bgColor,
+      bgOpacity,
+      bgGradient,
+      bgGradientColor,
+      bgGradientAngle,
+      transparencyMode,
+      textAlign,
+      textPadding,
+      textStrokeWidth,
+      textStrokeColor,
+      textGradient,
+      textGradientColor,
+      textShadowColor,
+      textShadowOpacity,
+      textShadowBlur,
+      textShadowOffsetX,
+      textShadowOffsetY,
+      visibleLength,
+      cursor,
+      ...overrides,
+    };
+    const request = (latestState.current.textRequest ?? 0) + 1;
+    latestState.current.textRequest = request;
+    const draw = () => {
+      if (!textSourceRef.current || !rendererRef.current || latestState.current.textRequest !== request) return;
+      textSourceRef.current.draw(textToRender, options);
+      if (!mediaSourceRef.current) {
+        rendererRef.current.setSource(textSourceRef.current);
+      }
+    };
+
+    if (isFontLoaded(options, textToRender)) {
+      draw();
+    } else {
+      loadFont(options, textToRender).then(draw);
+    }
+  }, [
+    fontSize, fontFamily, fontWeight, fontItalic, letterSpacing, lineSpacing, fontColor,
+    bgColor, bgOpacity, bgGradient, bgGradientColor, bgGradientAngle, transparencyMode,
+    textAlign, textPadding, textStrokeWidth, textStrokeColor, textGradient, textGradientColor,
+    textShadowColor, textShadowOpacity, textShadowBlur, textShadowOffsetX, textShadowOffsetY,
+    visibleLength, cursor,
+  ]); // Dependencies
+
+  // Redraws the media source (background, fit) and makes it current.
+  const updateMediaTexture = useCallback(() => {
+    if (!mediaSourceRef.current || !rendererRef.current) return;
+    
+    mediaSourceRef.current.draw({ bgColor, bgOpacity, bgGradient, bgGradientColor, bgGradientAngle, transparencyMode, mediaFit });
+    rendererRef.current.setSource(mediaSourceRef.current);
+  }, [bgColor, bgOpacity, bgGradient, bgGradientColor, bgGradientAngle, transparencyMode, mediaFit]);
+
+  useEffect(() => {
+    latestState.current.updateTextTexture = updateTextTexture;
+    latestState.current.updateMediaTexture = updateMediaTexture;
+  }, [updateTextTexture, updateMediaTexture]);
+
+  // Effect to resize the sources and preview when the output size changes
+  useEffect(() => {
+    latestState.current.size = { width, height };
+    if (!textSourceRef.current) return;
+    textSourceRef.current.setSize(width, height);
+    mediaSourceRef.current?.setSize(width, height);
+    resizePreview();
+    updateTextTexture(latestState.current.text);
+    updateMediaTexture();
+  }, [width, height, resizePreview, updateTextTexture, updateMediaTexture]);
+
+  // Effect to switch between the text and a media source
+  useEffect(() => {
+    if (!media) return;
+    const state = latestState.current;
+    const mediaSource = createMediaSource(media, state.size);
+    mediaSourceRef.current = mediaSource;
+    state.updateMediaTexture();
+    
+    return () => {
+      mediaSource.dispose();
+      mediaSourceRef.current = null;
+      state.updateTextTexture(state.text);
+    };
+  }, [media]);
+
+  // Effect to redraw the media source when its background or fit changes
+  useEffect(() => {
+    updateMediaTexture();
+  }, [updateMediaTexture]);
+
+  // Effect to render text to texture for the live preview. Only the texture is
+  // re-uploaded here; the GL context, program and loop stay untouched.
+  useEffect(() => {
+    latestState.current.text = text;
+    updateTextTexture(text);
+  }, [text, updateTextTexture]); // Depends on the text state and the function itself
+  
+  // Main renderer setup effect: runs once per canvas
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const reportError = (error) => {
+      if (onErrorRef.current) onErrorRef.current(error);
+      else console.error(error);
+    };
+    let renderer;
+    try {
+      renderer = createRenderer(canvas, {
+        onError: reportError,
+        onContextRestored: () => onContextRestoredRef.current?.(),
+      });
+    } catch (error) {
+      reportError(error);
+      return;
+    }
+    rendererRef.current = renderer;
+    renderer.setParams(getRenderParams(latestState.current));
+    renderer.setFrozenTime(latestState.current.frozenTime);
+    
+    // Create the text source at the output size
+    const { width: outputWidth, height: outputHeight } = latestState.current.size;
+    const textSource = createTextSource({ width: outputWidth, height: outputHeight });
+    textSourceRef.current = textSource;
+    canvas.width = outputWidth;
+    canvas.height = outputHeight;
+    resizePreview();
+    const resizeObserver = new ResizeObserver(() => latestState.current.resizePreview());
+    resizeObserver.observe(canvas);
+    
+    // Initial source rendering with whatever props are current
+    latestState.current.updateTextTexture(latestState.current.text);
+    latestState.current.updateMediaTexture();
+    
+    onReadyRef.current?.(api);
+    renderer.start();
+    
+    // Cleanup
+    return () => {
+      resizeObserver.disconnect();
+      renderer.dispose();
+      rendererRef.current = null;
+      textSource.dispose();
+      textSourceRef.current = null;
+    };
+  }, [api, resizePreview]);
+
+  // --- Event Handlers ---
+  // Converts a pointer position to output coordinates, allowing for the
+  // letterboxing of `object-fit: contain`.
+  const getOutputCoord = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const contentScale = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+    const contentWidth = canvas.width * contentScale;
+    const contentHeight = canvas.height * contentScale;
+    const x = (e.clientX - rect.left - (rect.width - contentWidth) / 2) / contentWidth;
+    const y = (e.clientY - rect.top - (rect.height - contentHeight) / 2) / contentHeight;
+    return [Math.min(1, Math.max(0, x)), Math.min(1, Math.max(0, y))];
+  };
+
+  const handlePointerDown = (e) => {
+    if (!onLensCenterChange) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    onLensCenterChange(...getOutputCoord(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (!onLensCenterChange || !e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    onLensCenterChange(...getOutputCoord(e));
+  };
+
+  // --- Render ---
+  return (
+    <canvas 
+      ref={canvasRef} 
+      className={className} 
+      style={onLensCenterChange ? { cursor: 'crosshair', touchAction: 'none', ...style } : style} 
+      onPointerDown={handlePointerDown} 
+      onPointerMove={handlePointerMove} 
+    />
+  );
+};
+
+export default BarrelDistortionCanvas;
@@ -0,0 +1,126 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, render } from '@testing-library/react';
+import BarrelDistortionCanvas from './BarrelDistortionCanvas';
+
+// A WebGL context whose every method is a spy. Constants are their own names,
+// and the queries the renderer makes report success.
+const createWebGLStub = () => {
+  const overrides = {
+    getShaderParameter: vi.fn(() => true),
+    getProgramParameter: vi.fn((program, name) => (name === 'ACTIVE_UNIFORMS' ? 0 : true)),
+    getParameter: vi.fn(name => (name === 'MAX_VIEWPORT_DIMS' ? [4096, 4096] : 4096)),
+    getExtension: vi.fn(() => null),
+    isContextLost: vi.fn(() => false),
+    createProgram: vi.fn(() => ({})),
+    createShader: vi.fn(() => ({})),
+    createBuffer: vi.fn(() => ({})),
+    createTexture: vi.fn(() => ({})),
+    createFramebuffer: vi.fn(() => ({})),
+  };
+  return new Proxy(overrides, {
+    get: (target, name) => {
+      if (typeof name !== 'string' || name in target) return target[name];
+      if (/^[A-Z0-9_]+$/.test(name)) return name;
+      target[name] = vi.fn();
+      return target[name];
+    },
+  });
+};
+
+// A 2D context that draws nothing, with text 10px wide per character
+const create2dStub = () => new Proxy({
+  measureText: text => ({ width: text.length * 10 }),
+  createLinearGradient: () => ({ addColorStop: () => {} }),
+  createRadialGradient: () => ({ addColorStop: () => {} }),
+}, {
+  get: (target, name) => (name in target ? target[name] : () => {}),
+});
+
+// requestAnimationFrame that only runs when the test asks
+let pendingFrames;
+const runFrame = (time) => {
+  const callbacks = [...pendingFrames.values()];
+  pendingFrames.clear();
+  callbacks.forEach(callback => callback(time));
+};
+
+let gl;
+let webglContexts;
+
+beforeEach(() => {
+  gl = createWebGLStub();
+  webglContexts = 0;
+  vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation((type) => {
+    if (type === '2d') return create2dStub();
+    webglContexts++;
+    return gl;
+  });
+  let nextFrame = 0;
+  pendingFrames = new Map();
+  vi.stubGlobal('requestAnimationFrame', vi.fn((callback) => {
+    pendingFrames.set(++nextFrame, callback);
+    return nextFrame;
+  }));
+  vi.stubGlobal('cancelAnimationFrame', vi.fn(id => pendingFrames.delete(id)));
+  vi.stubGlobal('ResizeObserver', class {
+    observe() {}
+    disconnect() {}
+  });
+  document.fonts = { load: () => Promise.resolve([]), check: () => true };
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('BarrelDistortionCanvas', () => {
+  it('keeps one context, program set and loop across prop changes', () => {
+    const { rerender } = render(<BarrelDistortionCanvas text="A" />);
+    runFrame(16);
+
+    const programs = gl.createProgram.mock.calls.length;
+    const shaders = gl.createShader.mock.calls.length;
+    const buffers = gl.createBuffer.mock.calls.length;
+    const uploads = gl.texImage2D.mock.calls.length;
+    expect(programs).toBeGreaterThan(0);
+    expect(uploads).toBeGreaterThan(0);
+
+    for (let i = 1; i <= 50; i++) {
+      rerender(
+        <BarrelDistortionCanvas 
+          text={`A${'b'.repeat(i)}`} 
+          fontSize={20 + i} 
+          fontColor={i % 2 ? '#FF0000' : '#00FF00'} 
+          lineSpacing={1 + i / 100} 
+          distortion={i / 10} 
+        />
+      );
+      runFrame(16 + i * 16);
+    }
+
+    expect(gl.drawArrays.mock.calls.length).toBeGreaterThanOrEqual(51);
+    expect(webglContexts).toBe(1);
+    expect(gl.createProgram).toHaveBeenCalledTimes(programs);
+    expect(gl.createShader).toHaveBeenCalledTimes(shaders);
+    expect(gl.createBuffer).toHaveBeenCalledTimes(buffers);
+    expect(gl.deleteProgram).not.toHaveBeenCalled();
+    // One loop: the initial start, then one request per frame run
+    expect(requestAnimationFrame).toHaveBeenCalledTimes(52);
+    expect(pendingFrames.size).toBe(1);
+    // Only the text texture is uploaded again
+    expect(gl.texImage2D.mock.calls.length).toBeGreaterThanOrEqual(uploads + 50);
+  });
+
+  it('frees the GL objects and stops the loop on unmount', () => {
+    const { unmount } = render(<BarrelDistortionCanvas text="A" />);
+    runFrame(16);
+    unmount();
+    expect(pendingFrames.size).toBe(0);
+    expect(gl.deleteProgram).toHaveBeenCalledTimes(gl.createProgram.mock.calls.length);
+    expect(gl.deleteBuffer).toHaveBeenCalledTimes(gl.createBuffer.mock.calls.length);
+  });
+});
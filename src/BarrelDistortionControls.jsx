@@ -0,0 +1,682 @@
+import React, { useState } from 'react';
+import { DEFAULT_SETTINGS, OUTPUT_SIZE_PRESETS, OUTPUT_SIZE_RANGE, SEED_RANGE } from './defaultSettings';
+import { getPass, getRegisteredPasses } from './passes';
+import { ANIMATION_FORMATS } from './animation';
+import { isVideoFormatSupported, isVideoRealTime, VIDEO_FORMATS } from './video';
+import { FONT_FAMILIES, FONT_FILE_TYPES } from './fonts';
+import { TEXT_STYLE_PARAMS } from './textLayout';
+import { BACKGROUND_PARAMS } from './background';
+import { toHexColor } from './color';
+
+const FONT_WEIGHTS = [
+  { value: 100, label: 'Thin' },
+  { value: 200, label: 'Extra Light' },
+  { value: 300, label: 'Light' },
+  { value: 400, label: 'Regular' },
+  { value: 500, label: 'Medium' },
+  { value: 600, label: 'Semi Bold' },
+  { value: 700, label: 'Bold' },
+  { value: 800, label: 'Extra Bold' },
+  { value: 900, label: 'Black' },
+];
+
+// Gradient settings that the chosen background fill ignores.
+const isUnusedBackgroundParam = (key, { bgGradient }) =>
+  (key === 'bgGradientColor' && bgGradient === 'none') ||
+  (key === 'bgGradientAngle' && bgGradient !== 'linear');
+
+// Renders one entry of a pass's parameter schema.
+const ParamControl = ({ param, value, disabled, onChange }) => {
+  const { label, type = 'range' } = param;
+
+  if (type === 'checkbox') {
+    return (
+      <label>
+        {label}: 
+        <input 
+          type="checkbox" 
+          disabled={disabled} 
+          checked={Boolean(value)} 
+          onChange={e => onChange(e.target.checked)} 
+        />
+      </label>
+    );
+  }
+
+  if (type === 'select') {
+    return (
+      <label>
+        {label}: 
+        <select 
+          disabled={disabled} 
+          value={value} 
+          onChange={e => onChange(e.target.value)}
+        >
+          {param.options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+    );
+  }
+
+  if (type === 'color') {
+    return (
+      <label>
+        {label}: 
+        <input 
+          type="color" 
+          disabled={disabled} 
+          value={toHexColor(value)} 
+          onChange={e => onChange(e.target.value)} 
+        />
+      </label>
+    );
+  }
+
+  return (
+    <label>
+      {label}: 
+      <input 
+        type="range" 
+        disabled={disabled} 
+        min={param.min} 
+        max={param.max} 
+        step={param.step} 
+        value={value} 
+        onChange={e => onChange(parseFloat(e.target.value))} 
+      />
+    </label>
+  );
+};
+
+// A width or height in pixels. Typed text stays a draft until Enter or blur
+// and is then clamped to OUTPUT_SIZE_RANGE, so "1080" is not clamped to the
+// minimum at its first digit.
+const SizeInput = ({ value, disabled, onChange }) => {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft === null) return;
+    setDraft(null);
+    const size = parseInt(draft, 10);
+    if (Number.isFinite(size)) {
+      onChange(Math.min(Math.max(size, OUTPUT_SIZE_RANGE.min), OUTPUT_SIZE_RANGE.max));
+    }
+  };
+
+  return (
+    <input 
+      type="number" 
+      disabled={disabled} 
+      min={OUTPUT_SIZE_RANGE.min} 
+      max={OUTPUT_SIZE_RANGE.max} 
+      value={draft ?? value} 
+      onChange={e => setDraft(e.target.value)} 
+      onBlur={commit} 
+      onKeyDown={e => e.key === 'Enter' && commit()} 
+    />
+  );
+};
+
+
+// --- The Controls Panel ---
+// Optional editor for a settings object shaped like DEFAULT_SETTINGS. It owns
+// no settings state: every edit is reported through `onChange` with the next
+// settings.
+// `actions` are rendered in the button row next to Reset, and `children`
+// below it. The Source section appears when `onMediaFile` is given; media
+// itself is not a setting, so the owner keeps it and reports `mediaType`.
+// Likewise, `onFontFile` adds a font upload; the owner registers the file and
+// lists the uploaded families in `customFonts`.
+const BarrelDistortionControls = ({
+  settings,
+  onChange,
+  disabled = false,
+  actions,
+  children,
+  mediaType = null,
+  onMediaFile,
+  onWebcam,
+  onClearMedia,
+  customFonts = [],
+  onFontFile,
+}) => {
+  const {
+    width,
+    height,
+    text,
+    fontSize,
+    fontFamily,
+    fontWeight,
+    fontItalic,
+    letterSpacing,
+    lineSpacing,
+    fontColor,
+    bgColor,
+    transparencyMode,
+    passes,
+    seed,
+    mediaFit,
+    enableTypingAnimation,
+    typingUnit,
+    typingFrameDuration,
+    typingJitter,
+    typingEndPause,
+    typingDeleteMode,
+    typingCursor,
+    typingLoop,
+    animationFormat,
+    zipFrames,
+    videoFormat,
+    videoBitrate,
+    previewQuality,
+    exportSupersampling,
+  } = settings;
+
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+
+  // A family from a preset or link that isn't listed still shows as selected
+  const fontFamilies = [...new Set([...FONT_FAMILIES, ...customFonts, fontFamily])];
+
+  // --- Effect pipeline editing ---
+  const updatePass = (index, patch) => {
+    update('passes', passes.map((entry, i) => (i === index ? { ...entry, ...patch } : entry)));
+  };
+  const movePass = (index, offset) => {
+    const next = [...passes];
+    const [entry] = next.splice(index, 1);
+    next.splice(index + offset, 0, entry);
+    update('passes', next);
+  };
+  const removePass = (index) => update('passes', passes.filter((_, i) => i !== index));
+  const addPass = (id) => {
+    // Fill in the new pass's defaults without touching values already set
+    const pass = getPass(id);
+    const defaults = Object.fromEntries(pass.params.map(param => [param.key, settings[param.key] ?? param.default]));
+    onChange({ ...settings, ...defaults, passes: [...passes, { id, enabled: true }] });
+  };
+  const availablePasses = getRegisteredPasses().filter(pass => !passes.some(entry => entry.id === pass.id));
+
+  const sizePresetIndex = OUTPUT_SIZE_PRESETS.findIndex(preset => preset.width === width && preset.height === height);
+  const handleSizePreset = (index) => {
+    const preset = OUTPUT_SIZE_PRESETS[index];
+    if (preset) onChange({ ...settings, width: preset.width, height: preset.height });
+  };
+
+  // --- Render ---
+  return (
+    <div className="controls">
+      <h4>Output</h4>
+      <label>
+        Size: 
+        <select 
+          disabled={disabled} 
+          value={sizePresetIndex} 
+          onChange={e => handleSizePreset(parseInt(e.target.value, 10))}
+        >
+          {OUTPUT_SIZE_PRESETS.map((preset, index) => (
+            <option key={preset.label} value={index}>{preset.label}</option>
+          ))}
+          <option value={-1} disabled>Custom</option>
+        </select>
+      </label>
+      <label>
+        Width × Height: 
+        <span className="size-inputs">
+          <SizeInput disabled={disabled} value={width} onChange={value => update('width', value)} />
+          ×
+          <SizeInput disabled={disabled} value={height} onChange={value => update('height', value)} />
+        </span>
+      </label>
+
+      {onMediaFile && (
+        <>
+          <h4>Source</h4>
+          <label>
+            Image / Video: 
+            <input 
+              type="file" 
+              accept="image/*,video/*" 
+              disabled={disabled} 
+              onChange={e => {
+                if (e.target.files[0]) onMediaFile(e.target.files[0]);
+                e.target.value = '';
+              }} 
+            />
+          </label>
+          <label>
+            Fit: 
+            <select 
+              disabled={disabled || !mediaType} 
+              value={mediaFit} 
+              onChange={e => update('mediaFit', e.target.value)}
+            >
+              <option value="contain">Contain</option>
+              <option value="cover">Cover</option>
+            </select>
+          </label>
+          <div className="button-row">
+            {onWebcam && (
+              <button disabled={disabled || mediaType === 'stream'} onClick={onWebcam}>
+                Webcam
+              </button>
+            )}
+            <button disabled={disabled || !mediaType} onClick={onClearMedia}>
+              Use Text
+            </button>
+          </div>
+        </>
+      )}
+
+      <h4>Text & Color</h4>
+      <label>
+        Transparency: 
+        <select 
+          disabled={disabled} 
+          value={transparencyMode} 
+          onChange={e => update('transparencyMode', e.target.value)}
+        >
+          <option value="normal">Normal</option>
+          <option value="text">Transparent Text</option>
+          <option value="background">Transparent Background</option>
+        </select>
+      </label>
+      <label>
+        Font Size: 
+        <input 
+          type="range" 
+          disabled={disabled} 
+          min="20" 
+          max="200" 
+          step="1" 
+          value={fontSize} 
+          onChange={e => update('fontSize', parseInt(e.target.value, 10))}
+        />
+      </label>
+      <label>
+        Font: 
+        <select 
+          disabled={disabled} 
+          value={fontFamily} 
+          onChange={e => update('fontFamily', e.target.value)}
+        >
+          {fontFamilies.map(family => (
+            <option key={family} value={family}>{family}</option>
+          ))}
+        </select>
+      </label>
+      {onFontFile && (
+        <label>
+          Upload Font: 
+          <input 
+            type="file" 
+            accept={FONT_FILE_TYPES} 
+            disabled={disabled} 
+            onChange={e => {
+              if (e.target.files[0]) onFontFile(e.target.files[0]);
+              e.target.value = '';
+            }} 
+          />
+        </label>
+      )}
+      <label>
+        Weight: 
+        <select 
+          disabled={disabled} 
+          value={fontWeight} 
+          onChange={e => update('fontWeight', parseInt(e.target.value, 10))}
+        >
+          {FONT_WEIGHTS.map(weight => (
+            <option key={weight.value} value={weight.value}>{weight.label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Italic: 
+        <input 
+          type="checkbox" 
+          disabled={disabled} 
+          checked={fontItalic} 
+          onChange={e => update('fontItalic', e.target.checked)} 
+        />
+      </label>
+      <label>
+        Letter Spacing: 
+        <input 
+          type="range" 
+          disabled={disabled} 
+          min="-10" 
+          max="50" 
+          step="0.5" 
+          value={letterSpacing} 
+          onChange={e => update('letterSpacing', parseFloat(e.target.value))}
+        />
+      </label>
+      <label>
+        Line Spacing: 
+        <input 
+          type="range" 
+          disabled={disabled} 
+          min="0.8" 
+          max="2.0" 
+          step="0.05" 
+          value={lineSpacing} 
+          onChange={e => update('lineSpacing', parseFloat(e.target.value))}
+        />
+      </label>
+      <label>
+        Font Color: 
+        <input 
+          type="color" 
+          disabled={disabled || transparencyMode === 'text'} 
+          value={toHexColor(fontColor)} 
+          onChange={e => update('fontColor', e.target.value)} 
+        />
+      </label>
+
+      <h4>Background</h4>
+      <label>
+        Color: 
+        <input 
+          type="color" 
+          disabled={disabled || transparencyMode === 'background'} 
+          value={toHexColor(bgColor)} 
+          onChange={e => update('bgColor', e.target.value)} 
+        />
+      </label>
+      {BACKGROUND_PARAMS.map(param => (
+        <ParamControl 
+          key={param.key} 
+          param={param} 
+          value={settings[param.key]} 
+          disabled={disabled || transparencyMode === 'background' || isUnusedBackgroundParam(param.key, settings)} 
+          onChange={value => update(param.key, value)} 
+        />
+      ))}
+
+      <h4>Text Layout</h4>
+      {TEXT_STYLE_PARAMS.map(param => (
+        <ParamControl 
+          key={param.key} 
+          param={param} 
+          value={settings[param.key]} 
+          disabled={disabled || (param.key === 'textGradientColor' && settings.textGradient === 'none')} 
+          onChange={value => update(param.key, value)} 
+        />
+      ))}
+      
+      <h4>Effects</h4>
+      <label>
+        Seed: 
+        <span className="size-inputs">
+          <input 
+            type="number" 
+            disabled={disabled} 
+            min={SEED_RANGE.min} 
+            max={SEED_RANGE.max} 
+            step="1" 
+            value={seed} 
+            onChange={e => update('seed', Math.min(Math.max(parseInt(e.target.value, 10) || 0, SEED_RANGE.min), SEED_RANGE.max))} 
+          />
+          <button 
+            disabled={disabled} 
+            onClick={() => update('seed', Math.floor(Math.random() * (SEED_RANGE.max + 1)))} 
+            title="New random seed"
+          >
+            Shuffle
+          </button>
+        </span>
+      </label>
+      {passes.map((entry, index) => {
+        const pass = getPass(entry.id);
+        if (!pass) return null;
+        return (
+          <div className="pass" key={entry.id}>
+            <div className="pass-header">
+              <label>
+                <input 
+                  type="checkbox" 
+                  disabled={disabled} 
+                  checked={entry.enabled !== false} 
+                  onChange={e => updatePass(index, { enabled: e.target.checked })} 
+                />
+                {pass.label}
+              </label>
+              <span>
+                <button disabled={disabled || index === 0} onClick={() => movePass(index, -1)} title="Move up">↑</button>
+                <button disabled={disabled || index === passes.length - 1} onClick={() => movePass(index, 1)} title="Move down">↓</button>
+                <button disabled={disabled} onClick={() => removePass(index)} title="Remove">×</button>
+              </span>
+            </div>
+            {pass.params.map(param => (
+              <ParamControl 
+                key={param.key} 
+                param={param} 
+                value={settings[param.key] ?? param.default} 
+                disabled={disabled || entry.enabled === false} 
+                onChange={value => update(param.key, value)} 
+              />
+            ))}
+          </div>
+        );
+      })}
+      {availablePasses.length > 0 && (
+        <label>
+          Add Effect: 
+          <select 
+            disabled={disabled} 
+            value="" 
+            onChange={e => addPass(e.target.value)}
+          >
+            <option value="" disabled>Choose…</option>
+            {availablePasses.map(pass => (
+              <option key={pass.id} value={pass.id}>{pass.label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <h4>Typing Animation</h4>
+      <label>
+        Enable:
+        <input
+          type="checkbox"
+          disabled={disabled}
+          checked={enableTypingAnimation}
+          onChange={e => update('enableTypingAnimation', e.target.checked)}
+        />
+      </label>
+      <label>
+        Reveal:
+        <select
+          disabled={disabled || !enableTypingAnimation}
+          value={typingUnit}
+          onChange={e => update('typingUnit', e.target.value)}
+        >
+          <option value="character">By Character</option>
+          <option value="word">By Word</option>
+          <option value="line">By Line</option>
+        </select>
+      </label>
+      <label>
+        Step Duration (ms):
+        <input
+          type="range"
+          disabled={disabled || !enableTypingAnimation}
+          min="20"
+          max="2000"
+          step="10"
+          value={typingFrameDuration}
+          onChange={e => update('typingFrameDuration', parseInt(e.target.value, 10))}
+        />
+      </label>
+      <label>
+        Jitter:
+        <input
+          type="range"
+          disabled={disabled || !enableTypingAnimation}
+          min="0"
+          max="1"
+          step="0.05"
+          value={typingJitter}
+          onChange={e => update('typingJitter', parseFloat(e.target.value))}
+        />
+      </label>
+      <label>
+        End Pause (ms):
+        <input
+          type="range"
+          disabled={disabled || !enableTypingAnimation}
+          min="0"
+          max="5000"
+          step="100"
+          value={typingEndPause}
+          onChange={e => update('typingEndPause', parseInt(e.target.value, 10))}
+        />
+      </label>
+      <label>
+        Then:
+        <select
+          disabled={disabled || !enableTypingAnimation}
+          value={typingDeleteMode}
+          onChange={e => update('typingDeleteMode', e.target.value)}
+        >
+          <option value="none">Hold</option>
+          <option value="backspace">Backspace</option>
+          <option value="clear">Clear</option>
+        </select>
+      </label>
+      <label>
+        Cursor:
+        <select
+          disabled={disabled || !enableTypingAnimation}
+          value={typingCursor}
+          onChange={e => update('typingCursor', e.target.value)}
+        >
+          <option value="none">None</option>
+          <option value="block">Block</option>
+          <option value="underscore">Underscore</option>
+        </select>
+      </label>
+      <label>
+        Loop:
+        <input
+          type="checkbox"
+          disabled={disabled || !enableTypingAnimation}
+          checked={typingLoop}
+          onChange={e => update('typingLoop', e.target.checked)}
+        />
+      </label>
+
+      <h4>Export</h4>
+      <label>
+        Animation:
+        <select
+          disabled={disabled}
+          value={animationFormat}
+          onChange={e => update('animationFormat', e.target.value)}
+        >
+          {Object.entries(ANIMATION_FORMATS).map(([format, { label }]) => (
+            <option key={format} value={format}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        ZIP PNG Frames:
+        <input
+          type="checkbox"
+          disabled={disabled || !enableTypingAnimation}
+          checked={zipFrames}
+          onChange={e => update('zipFrames', e.target.checked)}
+        />
+      </label>
+      <label>
+        Video:
+        <select
+          disabled={disabled}
+          value={videoFormat}
+          onChange={e => update('videoFormat', e.target.value)}
+        >
+          {Object.entries(VIDEO_FORMATS).map(([format, { label }]) => (
+            <option key={format} value={format} disabled={!isVideoFormatSupported(format)}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {isVideoRealTime() && (
+        <p className="hint">
+          This browser has no WebCodecs, so videos are recorded in real time: an
+          export takes as long as the clip, and slow frames may stutter.
+        </p>
+      )}
+      <label>
+        Bitrate (Mbit/s):
+        <input
+          type="range"
+          disabled={disabled}
+          min="1"
+          max="50"
+          step="1"
+          value={videoBitrate}
+          onChange={e => update('videoBitrate', parseInt(e.target.value, 10))}
+        />
+      </label>
+      <label>
+        Supersampling:
+        <select
+          disabled={disabled}
+          value={exportSupersampling}
+          onChange={e => update('exportSupersampling', parseInt(e.target.value, 10))}
+        >
+          <option value={1}>Off</option>
+          <option value={2}>2×</option>
+          <option value={3}>3×</option>
+          <option value={4}>4×</option>
+        </select>
+      </label>
+      <label>
+        Preview Quality:
+        <select
+          disabled={disabled}
+          value={previewQuality}
+          onChange={e => update('previewQuality', e.target.value)}
+        >
+          <option value="fast">Fast</option>
+          <option value="high">High</option>
+        </select>
+      </label>
+      
+      <div className="text-input">
+        <textarea 
+          disabled={disabled} 
+          value={text} 
+          onChange={e => update('text', e.target.value)} 
+          placeholder="Enter multi-line text"
+        ></textarea>
+        <div className="button-row">
+          <button 
+            disabled={disabled} 
+            onClick={() => update('text', text.toUpperCase())}
+          >
+            UPPERCASE
+          </button>
+          <button 
+            disabled={disabled} 
+            onClick={() => update('text', text.toLowerCase())}
+          >
+            lowercase
+          </button>
+          <button 
+            disabled={disabled} 
+            onClick={() => onChange({ ...DEFAULT_SETTINGS })}
+          >
+            Reset
+          </button>
+          {actions}
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default BarrelDistortionControls;
@@ -0,0 +1,99 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import BarrelDistortionControls from './BarrelDistortionControls';
+import { DEFAULT_SETTINGS } from './defaultSettings';
+
+afterEach(cleanup);
+
+const renderControls = (props = {}) => {
+  const onChange = vi.fn();
+  const settings = { ...DEFAULT_SETTINGS, ...props.settings };
+  render(<BarrelDistortionControls {...props} settings={settings} onChange={onChange} />);
+  return onChange;
+};
+
+describe('BarrelDistortionControls', () => {
+  it('reports each edit as the next settings', () => {
+    const onChange = renderControls();
+    fireEvent.change(screen.getByLabelText('Font Size:'), { target: { value: '120' } });
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, fontSize: 120 });
+
+    fireEvent.click(screen.getByLabelText('Italic:'));
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, fontItalic: true });
+  });
+
+  it('renders pass parameters from their schema', () => {
+    const onChange = renderControls();
+    fireEvent.change(screen.getByLabelText('Zoom:'), { target: { value: '2.5' } });
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, zoom: 2.5 });
+  });
+
+  it('edits the text and resets to the defaults', () => {
+    const onChange = renderControls({ settings: { text: 'hello', fontSize: 150 } });
+    fireEvent.click(screen.getByText('UPPERCASE'));
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, text: 'HELLO', fontSize: 150 });
+
+    fireEvent.click(screen.getByText('Reset'));
+    expect(onChange).toHaveBeenLastCalledWith(DEFAULT_SETTINGS);
+  });
+
+  it('applies output size presets', () => {
+    const onChange = renderControls();
+    fireEvent.change(screen.getByDisplayValue('Square 512'), { target: { value: '2' } });
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, width: 1080, height: 1920 });
+  });
+
+  it('commits a typed size on blur or Enter, clamped to the preset range', () => {
+    const onChange = renderControls();
+    const [widthInput, heightInput] = screen.getAllByDisplayValue('512');
+    ['1', '10', '108', '1080'].forEach(value => fireEvent.change(widthInput, { target: { value } }));
+    expect(onChange).not.toHaveBeenCalled();
+    expect(widthInput).toHaveProperty('value', '1080');
+    fireEvent.blur(widthInput);
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, width: 1080 });
+
+    fireEvent.change(heightInput, { target: { value: '9000' } });
+    fireEvent.keyDown(heightInput, { key: 'Enter' });
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, height: 4096 });
+
+    fireEvent.change(heightInput, { target: { value: '1' } });
+    fireEvent.blur(heightInput);
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, height: 16 });
+  });
+
+  it('clamps the seed to 0–99999', () => {
+    const onChange = renderControls();
+    fireEvent.change(screen.getByLabelText('Seed:'), { target: { value: '123456' } });
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, seed: 99999 });
+    fireEvent.change(screen.getByLabelText('Seed:'), { target: { value: '-5' } });
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SETTINGS, seed: 0 });
+  });
+
+  it('disables every input while disabled', () => {
+    renderControls({ disabled: true });
+    screen.getAllByRole('slider').forEach(input => expect(input).toHaveProperty('disabled', true));
+    expect(screen.getByText('Reset')).toHaveProperty('disabled', true);
+  });
+
+  it('shows the Source section only with onMediaFile', () => {
+    renderControls();
+    expect(screen.queryByText('Source')).toBeNull();
+    cleanup();
+    renderControls({ onMediaFile: vi.fn() });
+    expect(screen.getByText('Source')).toBeTruthy();
+  });
+
+  it('says when video can only be recorded in real time', () => {
+    // jsdom has no WebCodecs
+    renderControls();
+    expect(screen.getByText(/videos are recorded in real time/)).toBeTruthy();
+    cleanup();
+    vi.stubGlobal('VideoEncoder', class {});
+    vi.stubGlobal('VideoFrame', class {});
+    renderControls();
+    expect(screen.queryByText(/videos are recorded in real time/)).toBeNull();
+    vi.unstubAllGlobals();
+  });
+});
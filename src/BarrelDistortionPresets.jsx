@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import {
+  createPreset,
+  deletePreset,
+  getBuiltInPresets,
+  loadSavedPresets,
+  parsePreset,
+  savePreset,
+} from './presets';
+
+const BUILT_IN_PRESETS = getBuiltInPresets();
+
+// --- The Presets Panel ---
+// Applies built-in looks and presets saved in localStorage, saves the current
+// settings under a name, and moves presets in and out as .json files. Saved
+// and imported presets replace every setting through `onChange`; built-in
+// looks keep the current text and output size.
+const BarrelDistortionPresets = ({ settings, onChange, disabled = false }) => {
+  const [savedPresets, setSavedPresets] = useState(loadSavedPresets);
+  const [selected, setSelected] = useState(''); // 'builtin:<name>' or 'saved:<name>'
+  const [name, setName] = useState('');
+
+  const handleSelect = (value) => {
+    setSelected(value);
+    const separator = value.indexOf(':');
+    const source = value.slice(0, separator);
+    const presetName = value.slice(separator + 1);
+    const preset = (source === 'builtin' ? BUILT_IN_PRESETS : savedPresets).find(p => p.name === presetName);
+    if (!preset) return;
+    if (source === 'saved') {
+      setName(presetName);
+      onChange(preset.settings);
+    } else {
+      onChange({ ...preset.settings, text: settings.text, width: settings.width, height: settings.height });
+    }
+  };
+
+  const handleSave = () => {
+    const presetName = name.trim();
+    if (!presetName) return;
+    setSavedPresets(savePreset(presetName, settings));
+    setSelected(`saved:${presetName}`);
+  };
+
+  const handleDelete = () => {
+    setSavedPresets(deletePreset(selected.slice('saved:'.length)));
+    setSelected('');
+  };
+
+  const handleExport = () => {
+    const presetName = name.trim() || 'barrel-distortion';
+    const json = JSON.stringify(createPreset(presetName, settings), null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `${presetName.replace(/[^\w-]+/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const handleImport = async (file) => {
+    try {
+      const { name: presetName, settings: imported, warnings } = parsePreset(await file.text());
+      if (warnings.length > 0) console.warn('Preset values replaced by defaults:', warnings);
+      if (presetName) setName(presetName);
+      setSelected('');
+      onChange(imported);
+    } catch (error) {
+      console.error('Could not import preset:', error);
+      alert(error.message);
+    }
+  };
+
+  // --- Render ---
+  return (
+    <div className="presets">
+      <h4>Presets</h4>
+      <label>
+        Look:
+        <select
+          disabled={disabled}
+          value={selected}
+          onChange={e => handleSelect(e.target.value)}
+        >
+          <option value="" disabled>Choose…</option>
+          <optgroup label="Built-in">
+            {BUILT_IN_PRESETS.map(preset => (
+              <option key={preset.name} value={`builtin:${preset.name}`}>{preset.name}</option>
+            ))}
+          </optgroup>
+          {savedPresets.length > 0 && (
+            <optgroup label="Saved">
+              {savedPresets.map(preset => (
+                <option key={preset.name} value={`saved:${preset.name}`}>{preset.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+      </label>
+      <label>
+        Name:
+        <input
+          type="text"
+          disabled={disabled}
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="My look"
+        />
+      </label>
+      <label>
+        Import:
+        <input
+          type="file"
+          accept="application/json,.json"
+          disabled={disabled}
+          onChange={e => {
+            if (e.target.files[0]) handleImport(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </label>
+      <div className="button-row">
+        <button disabled={disabled || !name.trim()} onClick={handleSave}>
+          Save
+        </button>
+        <button disabled={disabled || !selected.startsWith('saved:')} onClick={handleDelete}>
+          Delete
+        </button>
+        <button disabled={disabled} onClick={handleExport}>
+          Export JSON
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BarrelDistortionPresets;
@@ -1,767 +1,478 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import BarrelDistortionCanvas from './BarrelDistortionCanvas';
+import BarrelDistortionControls from './BarrelDistortionControls';
+import BarrelDistortionPresets from './BarrelDistortionPresets';
+import BarrelDistortionTimeline from './BarrelDistortionTimeline';
+import { DEFAULT_SETTINGS } from './defaultSettings';
+import { zipSync } from 'fflate';
+import { ANIMATION_FORMATS, createAnimationEncoder } from './animation';
+import { renderFrames, isAbortError } from './exportJob';
+import { loadFont, loadFontFile } from './fonts';
+import { canvasToBlob } from './helpers';
+import { hasTransparency } from './background';
+import { toCssColor } from './color';
+import { loadSession, saveSession } from './presets';
+import { getShareUrl, hasSettingsHash, readSettingsFromHash } from './shareLink';
+import { loadMediaFile, openWebcam } from './sources';
+import { useHistory } from './history';
+import { evaluateTimeline } from './timeline';
+import { createTypingSchedule, getTypingState } from './typewriter';
+import { createVideoEncoder, VIDEO_FORMATS } from './video';
 import './BarrelDistortionText.css';
 
-/* global GIF */
-
-// --- Shaders ---
-const vsSource = `
-  attribute vec2 aPosition;
-  attribute vec2 aTexCoord;
-  varying vec2 vTexCoord;
-  
-  void main() {
-    gl_Position = vec4(aPosition, 0.0, 1.0);
-    vTexCoord = aTexCoord;
-  }
-`;
-
-const fsSource = `
-  precision mediump float;
-  
-  uniform sampler2D uSampler;
-  uniform float uDistortion;
-  uniform float uZoom;
-  uniform float uTime;
-  uniform float uNoiseAmount;
-  uniform float uScanlineIntensity;
-  uniform float uScanlineFrequency;
-  uniform float uBlurAmount;
-  uniform float uGlitchIntensity;
-  
-  varying vec2 vTexCoord;
-  
-  float random(vec2 st) {
-    return fract(sin(dot(st.xy, vec2(12.9898,78.233))) * 43758.5453123);
-  }
-  
-  void main() {
-    // --- 1. Barrel Distortion ---
-    vec2 center = vec2(0.5, 0.5);
-    vec2 coord = (vTexCoord - center) * uZoom;
-    float dist = length(coord);
-    float factor = 1.0 + uDistortion * dist * dist;
-    vec2 distortedCoord = coord * factor;
-    distortedCoord = distortedCoord / uZoom + center;
-    
-    // --- 2. Glitch Effect (applied before sampling) ---
-    if (uGlitchIntensity > 0.0) {
-      // Check if this line should glitch based on time and y-coord
-      float glitchRandom = random(vec2(floor(uTime * 15.0), floor(distortedCoord.y * 20.0)));
-      if (glitchRandom < uGlitchIntensity * 0.2) {
-        // How much to displace the line horizontally
-        float displacement = (random(vec2(uTime * 30.0, distortedCoord.y * 10.0)) - 0.5) * 0.1;
-        distortedCoord.x += displacement;
-      }
-    }
-    
-    // --- 3. Sample the texture (with optional blur) ---
-    vec4 color;
-    if (uBlurAmount > 0.0) {
-      vec4 sum = vec4(0.0);
-      vec2 texelSize = vec2(1.0 / 512.0, 1.0 / 512.0); 
-      float blurStep = uBlurAmount * texelSize.x;
-      
-      for (int x = -1; x <= 1; x++) {
-        for (int y = -1; y <= 1; y++) {
-          sum += texture2D(uSampler, distortedCoord + vec2(x, y) * blurStep);
-        }
-      }
-      color = sum / 9.0;
-    } else {
-      color = texture2D(uSampler, distortedCoord);
-    }
-    
-    // --- 4. Apply CRT Effects ---
-    if (distortedCoord.x < 0.0 || distortedCoord.x > 1.0 || 
-        distortedCoord.y < 0.0 || distortedCoord.y > 1.0) {
-      // Do nothing for out-of-bounds pixels
-    } else {
-      // a. Scrolling Scanlines
-      float scanlineY = distortedCoord.y + uTime * 0.02; // Add time to make them scroll
-      float scanline = sin(scanlineY * uScanlineFrequency) * uScanlineIntensity;
-      color.rgb -= scanline;
-      
-      // b. Fast-moving Noise
-      // Multiply time by a large number to make the noise animate quickly
-      float noise = (random(vTexCoord + uTime * 25.0) - 0.5) * uNoiseAmount;
-      color.rgb += noise;
-    }
-    
-    gl_FragColor = color;
-  }
-`;
-
-// --- Helper Functions ---
-const compileShader = (gl, source, type) => {
-  const shader = gl.createShader(type);
-  gl.shaderSource(shader, source);
-  gl.compileShader(shader);
-  
-  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-    console.error('Shader compile error:', gl.getShaderInfoLog(shader));
-    gl.deleteShader(shader);
-    return null;
-  }
-  
-  return shader;
-};
-
-const hexToRgb = (hex) => {
-  let result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16) / 255,
-    g: parseInt(result[2], 16) / 255,
-    b: parseInt(result[3], 16) / 255
-  } : null;
-};
-
-const wrapText = (context, text, maxWidth) => {
-  const words = text.split(' ');
-  const lines = [];
-  let currentLine = words[0] || '';
-  
-  for (let i = 1; i < words.length; i++) {
-    const word = words[i];
-    const width = context.measureText(currentLine + " " + word).width;
-    
-    if (width < maxWidth) {
-      currentLine += " " + word;
-    } else {
-      lines.push(currentLine);
-      currentLine = word;
-    }
-  }
-  
-  lines.push(currentLine);
-  return lines;
-};
-
 // --- The React Component ---
+// The full editor: a BarrelDistortionCanvas driven by a BarrelDistortionControls
+// panel, plus PNG (single or a ZIP of frames), GIF/APNG/WebP and WebM/MP4
+// export. The keyframe timeline is previewed at the
+// playhead and evaluated per frame when exporting, and so is the typing
+// animation when enabled; it then sets the clip length.
 const BarrelDistortionText = () => {
   // --- State ---
-  const [distortion, setDistortion] = useState(2);
-  const [zoom, setZoom] = useState(1.5);
-  const [fontSize, setFontSize] = useState(80);
-  const [lineSpacing, setLineSpacing] = useState(1.2);
-  const [fontColor, setFontColor] = useState('#FFFFFF');
-  const [bgColor, setBgColor] = useState('#000000');
-  const [noise, setNoise] = useState(0.05);
-  const [scanlineIntensity, setScanlineIntensity] = useState(0.15);
-  const [text, setText] = useState("BUT AT\nLEAST\nYOU'LL");
-  const [transparencyMode, setTransparencyMode] = useState('normal');
-  const [blurAmount, setBlurAmount] = useState(0.5);
-  const [glitchIntensity, setGlitchIntensity] = useState(0.5);
-  const [isRenderingGif, setIsRenderingGif] = useState(false);
+  // Every settings change is undoable, including Reset and applied presets
+  const [settings, setSettings, settingsHistory] = useHistory(() => readSettingsFromHash() ?? loadSession() ?? DEFAULT_SETTINGS);
+  const [exportJob, setExportJob] = useState(null); // { kind, progress } while exporting
+  const [media, setMedia] = useState(null); // image, video or webcam stream replacing the text
+  const [playhead, setPlayhead] = useState(0); // timeline position in seconds
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isFrozen, setIsFrozen] = useState(false); // preview effects held at the playhead
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [customFonts, setCustomFonts] = useState([]); // families of uploaded font files
+  const [rendererError, setRendererError] = useState(null); // latest RendererError, shown over the preview
+  const {
+    text,
+    enableTypingAnimation,
+    typingLoop,
+    timeline,
+    animationFormat,
+    videoFormat,
+    videoBitrate,
+    zipFrames,
+  } = settings;
+
+  const typingSchedule = enableTypingAnimation ? createTypingSchedule(text, settings) : null;
+  // At least one frame: a typing animation of one step with no end pause
+  // lasts no time at all, and the playhead loops modulo this
+  const clipDuration = Math.max(1 / timeline.fps, typingSchedule ? typingSchedule.duration : timeline.duration);
 
-  // --- NEW: State for typing animation ---
-  const [enableTypingAnimation, setEnableTypingAnimation] = useState(false);
-  const [typingFrameDuration, setTypingFrameDuration] = useState(500); // ms per word/line
-  const [typingEndPause, setTypingEndPause] = useState(1500); // ms pause on full text
+  // What the preview shows: the timeline and typing animation at the playhead
+  const previewSettings = evaluateTimeline(settings, playhead);
+  const previewTyping = typingSchedule ? getTypingState(typingSchedule, playhead, settings) : null;
+  const { bgColor, bgOpacity, transparencyMode } = previewSettings;
 
   // --- Refs ---
-  const canvasRef = useRef(null);
-  const textCanvasRef = useRef(null);
-  const glRef = useRef(null);
-  const programInfoRef = useRef(null);
-  const buffersRef = useRef(null);
-  const textureRef = useRef(null);
-  const animationFrameIdRef = useRef(null);
-  const latestState = useRef({});
+  const canvasApiRef = useRef(null);
+  const exportControllerRef = useRef(null); // aborts the running export
+
   // --- Effects ---
-  
-  // Effect to sync state to ref
-  useEffect(() => {
-    latestState.current = {
-      ...latestState.current, // Preserve existing properties
-      distortion,
-      zoom,
-      noise,
-      scanlineIntensity,
-      bgColor,
-      transparencyMode,
-      blurAmount,
-      glitchIntensity
-    };
-  }, [distortion, zoom, noise, scanlineIntensity, bgColor, transparencyMode, blurAmount, glitchIntensity]);
-  
+
   // Effect to update body background color
   useEffect(() => {
-    document.body.style.backgroundColor = transparencyMode === 'background' ? 'transparent' : bgColor;
+    document.body.style.backgroundColor = transparencyMode === 'background' ? 'transparent' : toCssColor(bgColor, bgOpacity);
     document.body.style.transition = 'background-color 0.3s';
-  }, [bgColor, transparencyMode]);
-
-  // This function can now be called on-demand to update the text texture.
-  const updateTextTexture = useCallback((textToRender) => {
-    if (!textCanvasRef.current || !glRef.current || !textureRef.current) return;
-    
-    const textCtx = textCanvasRef.current.getContext('2d');
-    const gl = glRef.current;
-    const textCanvas = textCanvasRef.current;
+  }, [bgColor, bgOpacity, transparencyMode]);
 
-    if (transparencyMode === 'background') {
-      textCtx.clearRect(0, 0, textCanvas.width, textCanvas.height);
-    } else {
-      textCtx.fillStyle = bgColor;
-      textCtx.fillRect(0, 0, textCanvas.width, textCanvas.height);
-    }
+  // Effect to apply settings links. The initial state reads the link the page
+  // opened with; one opened later in this tab replaces the settings. The hash
+  // is then dropped, so reloading keeps later edits.
+  useEffect(() => {
+    const clearHash = () => window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    const handleHashChange = () => {
+      const linked = readSettingsFromHash();
+      if (!linked) return;
+      setSettings(linked);
+      clearHash();
+    };
+    if (hasSettingsHash()) clearHash();
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [setSettings]);
 
-    textCtx.fillStyle = fontColor;
-    textCtx.font = `bold ${fontSize}px 'Times New Roman'`;
-    textCtx.textAlign = 'center';
-    textCtx.textBaseline = 'middle';
-    textCtx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-    textCtx.shadowBlur = 4;
-    textCtx.shadowOffsetX = 2;
-    textCtx.shadowOffsetY = 2;
-    
-    if (transparencyMode === 'text') {
-      textCtx.globalCompositeOperation = 'destination-out';
-    }
-    
-    const rawLines = textToRender.split('\n');
-    const wrappedLines = [];
-    const maxWidth = textCanvas.width * 0.9;
-    
-    rawLines.forEach(line => {
-      if (textCtx.measureText(line).width > maxWidth && line.includes(' ')) {
-        wrappedLines.push(...wrapText(textCtx, line, maxWidth));
-      } else {
-        wrappedLines.push(line);
+  // Effect for the undo shortcuts: Ctrl/Cmd+Z, and Shift+Ctrl/Cmd+Z or
+  // Ctrl+Y to redo. Text fields outside the settings keep their own undo.
+  const { undo, redo } = settingsHistory;
+  const isExporting = Boolean(exportJob);
+  useEffect(() => {
+    if (isExporting) return;
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.target.matches?.('input[type="text"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+        e.preventDefault();
+        redo();
       }
-    });
-
-    const lineHeight = parseFloat(fontSize) * parseFloat(lineSpacing);
-    const totalHeight = (wrappedLines.length - 1) * lineHeight;
-    const startY = (textCanvas.height - totalHeight) / 2;
-    
-    wrappedLines.forEach((line, i) => {
-      textCtx.fillText(line, textCanvas.width / 2, startY + i * lineHeight);
-    });
-
-    textCtx.globalCompositeOperation = 'source-over';
-    gl.bindTexture(gl.TEXTURE_2D, textureRef.current);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, textCanvas);
-
-  }, [fontSize, lineSpacing, fontColor, bgColor, transparencyMode]); // Dependencies
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isExporting, undo, redo]);
 
-  // Effect to render text to texture for the live preview
+  // Effect to keep the settings across reloads
   useEffect(() => {
-    // This now just calls our refactored function
-    updateTextTexture(text);
-  }, [text, updateTextTexture]); // Depends on the text state and the function itself
-  
-  // Main WebGL setup effect (No changes inside, but it's long, so keeping it collapsed)
+    saveSession(settings);
+  }, [settings]);
+
+  // Effect to advance the playhead while the timeline plays, looping the clip
   useEffect(() => {
-    const canvas = canvasRef.current;
-    const gl = canvas.getContext('webgl', { 
-      preserveDrawingBuffer: true, 
-      alpha: true 
-    });
-    
-    glRef.current = gl;
-    
-    if (!gl) {
-      alert('WebGL not supported');
-      return;
-    }
-    
-    // Compile shaders
-    const vertexShader = compileShader(gl, vsSource, gl.VERTEX_SHADER);
-    const fragmentShader = compileShader(gl, fsSource, gl.FRAGMENT_SHADER);
-    
-    // Create shader program
-    const shaderProgram = gl.createProgram();
-    gl.attachShader(shaderProgram, vertexShader);
-    gl.attachShader(shaderProgram, fragmentShader);
-    gl.linkProgram(shaderProgram);
-    
-    // Store program and attribute/uniform locations
-    programInfoRef.current = {
-      program: shaderProgram,
-      attribLocations: {
-        position: gl.getAttribLocation(shaderProgram, 'aPosition'),
-        texCoord: gl.getAttribLocation(shaderProgram, 'aTexCoord')
-      },
-      uniformLocations: {
-        sampler: gl.getUniformLocation(shaderProgram, 'uSampler'),
-        distortion: gl.getUniformLocation(shaderProgram, 'uDistortion'),
-        zoom: gl.getUniformLocation(shaderProgram, 'uZoom'),
-        time: gl.getUniformLocation(shaderProgram, 'uTime'),
-        noiseAmount: gl.getUniformLocation(shaderProgram, 'uNoiseAmount'),
-        scanlineIntensity: gl.getUniformLocation(shaderProgram, 'uScanlineIntensity'),
-        scanlineFrequency: gl.getUniformLocation(shaderProgram, 'uScanlineFrequency'),
-        blurAmount: gl.getUniformLocation(shaderProgram, 'uBlurAmount'),
-        glitchIntensity: gl.getUniformLocation(shaderProgram, 'uGlitchIntensity'),
-      },
+    if (!isPlaying) return;
+    let frameId;
+    let lastTime = performance.now();
+    const tick = (now) => {
+      const elapsed = (now - lastTime) * 0.001;
+      lastTime = now;
+      setPlayhead(current => (current + elapsed) % clipDuration);
+      frameId = requestAnimationFrame(tick);
     };
-    
-    // Create buffers
-    const positionBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-      -1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1
-    ]), gl.STATIC_DRAW);
-    
-    const texCoordBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-      0, 1, 1, 1, 0, 0, 0, 0, 1, 1, 1, 0
-    ]), gl.STATIC_DRAW);
-    
-    buffersRef.current = {
-      position: positionBuffer,
-      texCoord: texCoordBuffer
-    };
-    
-    // Create texture
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    textureRef.current = texture;
-    
-    // Create text canvas
-    const textCanvas = document.createElement('canvas');
-    textCanvas.width = 512;
-    textCanvas.height = 512;
-    canvas.width = textCanvas.width;
-    canvas.height = textCanvas.height;
-    gl.viewport(0, 0, canvas.width, canvas.height);
-    textCanvasRef.current = textCanvas;
-    
-    // Initial text rendering (now uses the dedicated function)
-    updateTextTexture(text);
-    
-    // Draw scene function
-    const drawScene = (time) => {
-      const currentGl = glRef.current;
-      const programInfo = programInfoRef.current;
-      const { 
-        distortion, 
-        zoom, 
-        noise, 
-        scanlineIntensity, 
-        bgColor, 
-        transparencyMode, 
-        blurAmount, 
-        glitchIntensity 
-      } = latestState.current;
-      
-      // Set clear color based on transparency mode
-      if (transparencyMode === 'background') {
-        currentGl.clearColor(0, 0, 0, 0);
-      } else {
-        const rgb = hexToRgb(bgColor);
-        currentGl.clearColor(rgb.r, rgb.g, rgb.b, 1.0);
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [isPlaying, clipDuration]);
+
+  // Effect to release a video or webcam once it is replaced
+  useEffect(() => {
+    if (!media) return;
+    return () => {
+      if (typeof MediaStream !== 'undefined' && media instanceof MediaStream) {
+        media.getTracks().forEach(track => track.stop());
+      } else if (media instanceof HTMLVideoElement) {
+        media.pause();
+        URL.revokeObjectURL(media.src);
       }
-      
-      currentGl.clear(currentGl.COLOR_BUFFER_BIT);
-      currentGl.useProgram(programInfo.program);
-      
-      // Bind position buffer
-      currentGl.bindBuffer(currentGl.ARRAY_BUFFER, buffersRef.current.position);
-      currentGl.vertexAttribPointer(programInfo.attribLocations.position, 2, currentGl.FLOAT, false, 0, 0);
-      currentGl.enableVertexAttribArray(programInfo.attribLocations.position);
-      
-      // Bind texture coordinate buffer
-      currentGl.bindBuffer(currentGl.ARRAY_BUFFER, buffersRef.current.texCoord);
-      currentGl.vertexAttribPointer(programInfo.attribLocations.texCoord, 2, currentGl.FLOAT, false, 0, 0);
-      currentGl.enableVertexAttribArray(programInfo.attribLocations.texCoord);
-      
-      // Bind texture
-      currentGl.activeTexture(currentGl.TEXTURE0);
-      currentGl.bindTexture(currentGl.TEXTURE_2D, textureRef.current);
-      currentGl.uniform1i(programInfo.uniformLocations.sampler, 0);
-      
-      // Set uniforms
-      currentGl.uniform1f(programInfo.uniformLocations.distortion, distortion);
-      currentGl.uniform1f(programInfo.uniformLocations.zoom, zoom);
-      currentGl.uniform1f(programInfo.uniformLocations.time, time);
-      currentGl.uniform1f(programInfo.uniformLocations.noiseAmount, noise);
-      currentGl.uniform1f(programInfo.uniformLocations.scanlineIntensity, scanlineIntensity);
-      currentGl.uniform1f(programInfo.uniformLocations.scanlineFrequency, canvas.height * 1.5);
-      currentGl.uniform1f(programInfo.uniformLocations.blurAmount, blurAmount);
-      currentGl.uniform1f(programInfo.uniformLocations.glitchIntensity, glitchIntensity);
-      
-      // Draw
-      currentGl.drawArrays(currentGl.TRIANGLES, 0, 6);
     };
-    
-    latestState.current.drawScene = drawScene;
-    
-    // Animation loop
-    let renderLoopActive = true;
-    const render = (time) => {
-      if (!renderLoopActive) return;
-      drawScene(time * 0.001);
-      animationFrameIdRef.current = requestAnimationFrame(render);
+  }, [media]);
+
+  // Effect to accept image/video files dropped anywhere on the page
+  useEffect(() => {
+    const handleDragOver = (e) => e.preventDefault();
+    const handleDrop = (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer.files[0];
+      if (file && /^(image|video)\//.test(file.type)) {
+        loadMediaFile(file).then(setMedia).catch(error => console.error('Could not load file:', error));
+      }
     };
-    
-    requestAnimationFrame(render);
-    
-    // Cleanup
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('drop', handleDrop);
     return () => {
-      renderLoopActive = false;
-      cancelAnimationFrame(animationFrameIdRef.current);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('drop', handleDrop);
     };
-  }, [updateTextTexture, text]);
-  
+  }, []);
+
   // --- Event Handlers ---
-  const handleReset = () => {
-    setDistortion(2);
-    setZoom(1.5);
-    setText("BUT AT\nLEAST\nYOU'LL");
-    setFontSize(80);
-    setLineSpacing(1.2);
-    setFontColor('#FFFFFF');
-    setBgColor('#000000');
-    setNoise(0.05);
-    setScanlineIntensity(0.15);
-    setTransparencyMode('normal');
-    setBlurAmount(0.5);
-    setGlitchIntensity(0.5);
-    setEnableTypingAnimation(false);
-    setTypingFrameDuration(500);
-    setTypingEndPause(1500);
+  const handleMediaFile = (file) => {
+    loadMediaFile(file).then(setMedia).catch(error => console.error('Could not load file:', error));
   };
 
-  // --- NEW: Helper to generate the text sequence for animation ---
-  const generateTextSequence = (fullText) => {
-    const words = fullText.split(/(\s+)/).filter(w => w.trim().length > 0);
-    const sequence = [];
-    let currentText = '';
-    for (let i = 0; i < words.length; i++) {
-        currentText = currentText ? `${currentText} ${words[i]}` : words[i];
-        sequence.push(currentText);
-    }
-    return sequence.length > 0 ? sequence : [fullText];
+  // Registers an uploaded font and switches the text to it
+  const handleFontFile = (file) => {
+    loadFontFile(file)
+      .then((family) => {
+        setCustomFonts(current => (current.includes(family) ? current : [...current, family]));
+        setSettings(current => ({ ...current, fontFamily: family }));
+      })
+      .catch((error) => {
+        console.error('Could not load font:', error);
+        alert(`Could not load font: ${error.message}`);
+      });
   };
-  
-  // --- MODIFIED: PNG export now supports typing animation ---
-  const handleExportPng = () => {
-    const drawScene = latestState.current.drawScene;
-    if (!drawScene) {
-      console.error("Drawing function not ready.");
-      return;
-    }
 
-    if (!enableTypingAnimation) {
-      // Original behavior
-      const link = document.createElement('a');
-      link.href = canvasRef.current.toDataURL('image/png');
-      link.download = 'crt-distortion-effect.png';
-      link.click();
-    } else {
-      // --- NEW: Animation behavior ---
-      const sequence = generateTextSequence(text);
-      sequence.forEach((subText, index) => {
-        // Update the texture with the current part of the text
-        updateTextTexture(subText);
-        // Draw the scene (at a static time, since the animation is the text itself)
-        drawScene(0); 
+  // Dragging on the preview moves the distortion center
+  const handleLensCenterChange = (lensCenterX, lensCenterY) => {
+    setSettings(current => ({ ...current, lensCenterX, lensCenterY }));
+  };
 
-        // Create and trigger download for this frame
-        const link = document.createElement('a');
-        link.href = canvasRef.current.toDataURL('image/png');
-        link.download = `crt-animation-frame-${index + 1}.png`;
-        link.click();
-      });
-      // Restore the original full text in the preview
-      updateTextTexture(text);
-    }
+  const handleWebcam = () => {
+    openWebcam().then(setMedia).catch(error => console.error('Could not open webcam:', error));
   };
-  
-  // --- MODIFIED: GIF export now supports typing animation ---
-  const handleExportGif = async () => {
-    if (isRenderingGif) return;
-    setIsRenderingGif(true);
-    
-    const drawScene = latestState.current.drawScene;
-    if (!drawScene) {
+
+  // Draws the export frame at `time` seconds, with the timeline and typing
+  // animation evaluated there. Call between beginCapture and endCapture.
+  const drawExportFrame = (canvasApi, time) => {
+    const frameSettings = evaluateTimeline(settings, time);
+    const typing = typingSchedule ? getTypingState(typingSchedule, time, settings) : null;
+    canvasApi.updateTextTexture(text, { ...frameSettings, ...typing });
+    canvasApi.drawScene(time, frameSettings);
+  };
+
+  // Triggers a download of `blob`
+  const downloadBlob = (blob, filename) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  // Shows the latest rendering problem until it is dismissed; a restored GPU
+  // context clears the context-lost notice by itself.
+  const handleRendererError = (error) => {
+    console.warn(error);
+    setRendererError(error);
+  };
+
+  const handleContextRestored = () => {
+    setRendererError(error => (error?.code === 'context-lost' ? null : error));
+  };
+
+  // Runs one export job at a time: `task(canvasApi, signal, setProgress)`
+  // renders and encodes, once the font is loaded so frames can be drawn
+  // synchronously. Cancel aborts `signal`; the task's `finally` blocks
+  // restore the preview. Failures are reported, cancellations are not.
+  const runExport = async (kind, task) => {
+    if (exportJob) return;
+    const canvasApi = canvasApiRef.current;
+    if (!canvasApi) {
       console.error("Drawing function not ready.");
-      setIsRenderingGif(false);
       return;
     }
-    
-    const gif = new GIF({ 
-      workers: 2, 
-      quality: 10, 
-      workerScript: '/gif.worker.js' 
-    });
-
-    const fps = 24;
-    const frameDelay = 1000 / fps;
-    
-    if (!enableTypingAnimation) {
-      // Original behavior: animate CRT effects over 2 seconds
-      const duration = 2;
-      const numFrames = duration * fps; 
-      for (let i = 0; i < numFrames; i++) {
-        const time = i / fps;
-        drawScene(time);
-        gif.addFrame(canvasRef.current, { copy: true, delay: frameDelay });
+    const controller = new AbortController();
+    exportControllerRef.current = controller;
+    setExportJob({ kind, progress: 0 });
+    setIsPlaying(false);
+    try {
+      await loadFont(settings, text);
+      await task(canvasApi, controller.signal, progress => setExportJob({ kind, progress }));
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Export failed:', error);
+        alert(`Export failed: ${error.message}`);
       }
-    } else {
-      // --- NEW: Typing animation behavior ---
-      const sequence = generateTextSequence(text);
-      let totalTime = 0;
+    } finally {
+      exportControllerRef.current = null;
+      setExportJob(null);
+    }
+  };
 
-      for (let i = 0; i < sequence.length; i++) {
-        const subText = sequence[i];
-        const isLastFrame = i === sequence.length - 1;
-        
-        // Determine duration for this frame (longer pause for the last one)
-        const duration = isLastFrame ? typingEndPause : typingFrameDuration;
-        const numFramesForWord = Math.round((duration / 1000) * fps);
+  // Runs `task(canvas)` with the canvas at the full output size rather than
+  // the preview size, then restores the preview even when cancelled or
+  // failing.
+  const withCapture = async (canvasApi, task) => {
+    canvasApi.beginCapture();
+    try {
+      return await task(canvasApi.getCanvas());
+    } finally {
+      canvasApi.updateTextTexture(text);
+      canvasApi.endCapture();
+    }
+  };
 
-        // Update the texture with the current text
-        updateTextTexture(subText);
+  // Renders the frames at `times` at the full output size, calling
+  // `onFrame(canvas, index)` after each.
+  const captureFrames = (canvasApi, times, onFrame, { signal, onProgress }) => withCapture(canvasApi, canvas =>
+    renderFrames(times.length, async (index) => {
+      drawExportFrame(canvasApi, times[index]);
+      await onFrame(canvas, index);
+    }, { signal, onProgress }));
 
-        // Render this text for its specified duration
-        for (let j = 0; j < numFramesForWord; j++) {
-          drawScene(totalTime);
-          gif.addFrame(canvasRef.current, { copy: true, delay: frameDelay });
-          totalTime += 1 / fps;
-        }
+  // Frame times of the clip at the timeline's fps
+  const getClipTimes = () => {
+    const numFrames = Math.max(1, Math.round(clipDuration * timeline.fps));
+    return Array.from({ length: numFrames }, (_, i) => i / timeline.fps);
+  };
+
+  // PNG export: the current frame, or one frame per typing step, bundled in a
+  // ZIP unless `zipFrames` is off (browsers block most of many downloads)
+  const handleExportPng = () => runExport('png', async (canvasApi, signal, setProgress) => {
+    if (!enableTypingAnimation) {
+      // The frame at the playhead, as the preview shows it with Freeze Frame
+      await withCapture(canvasApi, async (canvas) => {
+        drawExportFrame(canvasApi, playhead);
+        downloadBlob(await canvasToBlob(canvas), 'crt-distortion-effect.png');
+      });
+      return;
+    }
+
+    // One frame per typing step, at the time the step appears
+    const files = {};
+    const times = typingSchedule.steps.map(step => step.time);
+    await captureFrames(canvasApi, times, async (canvas, index) => {
+      const blob = await canvasToBlob(canvas);
+      const filename = `crt-animation-frame-${String(index + 1).padStart(3, '0')}.png`;
+      if (zipFrames) {
+        files[filename] = new Uint8Array(await blob.arrayBuffer());
+      } else {
+        downloadBlob(blob, filename);
       }
+    }, { signal, onProgress: setProgress });
+    if (zipFrames) {
+      // PNGs are already compressed, so they are stored as they are
+      const zip = zipSync(files, { level: 0 });
+      downloadBlob(new Blob([zip], { type: 'application/zip' }), 'crt-animation-frames.zip');
     }
-    
-    gif.on('finished', (blob) => {
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(blob);
-      link.download = 'crt-distortion-effect.gif';
-      link.click();
-      URL.revokeObjectURL(link.href);
-      setIsRenderingGif(false);
-      updateTextTexture(text);
+  });
+  
+  // Animated export (GIF, APNG or WebP) of the clip at the timeline's fps.
+  // GIF encoding happens afterwards in workers, so rendering the frames is the
+  // first half of its progress and encoding the second.
+  const handleExportAnimation = () => runExport('animation', async (canvasApi, signal, setProgress) => {
+    // A typing animation that doesn't loop plays once
+    const encoder = createAnimationEncoder(animationFormat, { fps: timeline.fps, loop: !typingSchedule || typingLoop });
+    const renderShare = animationFormat === 'gif' ? 0.5 : 1;
+    const cancel = () => encoder.cancel();
+    signal.addEventListener('abort', cancel);
+    try {
+      await captureFrames(canvasApi, getClipTimes(), canvas => encoder.addFrame(canvas), {
+        signal,
+        onProgress: progress => setProgress(progress * renderShare),
+      });
+      const blob = await encoder.finish(progress => setProgress(renderShare + progress * (1 - renderShare)));
+      signal.throwIfAborted();
+      downloadBlob(blob, `crt-distortion-effect.${ANIMATION_FORMATS[animationFormat].extension}`);
+    } finally {
+      signal.removeEventListener('abort', cancel);
+    }
+  });
+
+  // Renders the clip frame by frame (not in real time) into a WebM or MP4;
+  // only the MediaRecorder fallback records in real time (see video.js).
+  // WebM keeps the transparency of the transparent modes and translucent
+  // backgrounds. The encoder is created and finished while capturing, so it
+  // is configured for the output size rather than the preview's.
+  const handleExportVideo = () => runExport('video', (canvasApi, signal, setProgress) => withCapture(canvasApi, async (canvas) => {
+    const encoder = await createVideoEncoder(canvas, {
+      format: videoFormat,
+      fps: timeline.fps,
+      bitrate: videoBitrate * 1e6,
+      alpha: hasTransparency(settings),
+      signal,
     });
-    
-    gif.render();
-  };
+    const times = getClipTimes();
+    try {
+      await renderFrames(times.length, async (index) => {
+        drawExportFrame(canvasApi, times[index]);
+        await encoder.addFrame(canvas);
+      }, { signal, onProgress: setProgress });
+    } catch (error) {
+      encoder.cancel();
+      throw error;
+    }
+    const blob = await encoder.finish();
+    downloadBlob(blob, `crt-distortion-effect.${VIDEO_FORMATS[videoFormat].extension}`);
+  }));
   
-  const allControlsDisabled = isRenderingGif;
+  // Copies a link that restores the current settings (not loaded media)
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(getShareUrl(settings))
+      .then(() => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 1500);
+      })
+      .catch(error => console.error('Could not copy the link:', error));
+  };
+
+  const allControlsDisabled = Boolean(exportJob);
+  const mediaType = !media ? null
+    : typeof MediaStream !== 'undefined' && media instanceof MediaStream ? 'stream'
+    : media instanceof HTMLVideoElement ? 'video'
+    : 'image';
   
   // --- Render ---
   return (
     <>
-      <canvas ref={canvasRef} />
-      <div className="controls">
-        <h4>Lens Effect</h4>
-        <label>
-          Distortion: 
-          <input 
-            type="range" 
-            disabled={allControlsDisabled} 
-            min="0" 
-            max="5" 
-            step="0.01" 
-            value={distortion} 
-            onChange={e => setDistortion(parseFloat(e.target.value))} 
-          />
-        </label>
-        <label>
-          Zoom: 
-          <input 
-            type="range" 
-            disabled={allControlsDisabled} 
-            min="0.5" 
-            max="10" 
-            step="0.01" 
-            value={zoom} 
-            onChange={e => setZoom(parseFloat(e.target.value))}
-          />
-        </label>
-        
-        <h4>Text & Color</h4>
-        <label>
-          Transparency: 
-          <select 
-            disabled={allControlsDisabled} 
-            value={transparencyMode} 
-            onChange={e => setTransparencyMode(e.target.value)}
-          >
-            <option value="normal">Normal</option>
-            <option value="text">Transparent Text</option>
-            <option value="background">Transparent Background</option>
-          </select>
-        </label>
-        <label>
-          Font Size: 
-          <input 
-            type="range" 
-            disabled={allControlsDisabled} 
-            min="20" 
-            max="200" 
-            step="1" 
-            value={fontSize} 
-            onChange={e => setFontSize(parseInt(e.target.value, 10))}
-          />
-        </label>
-        <label>
-          Line Spacing: 
-          <input 
-            type="range" 
-            disabled={allControlsDisabled} 
-            min="0.8" 
-            max="2.0" 
-            step="0.05" 
-            value={lineSpacing} 
-            onChange={e => setLineSpacing(parseFloat(e.target.value))}
-          />
-        </label>
-        <label>
-          Font Color: 
-          <input 
-            type="color" 
-            disabled={allControlsDisabled || transparencyMode === 'text'} 
-            value={fontColor} 
-            onChange={e => setFontColor(e.target.value)} 
-          />
-        </label>
-        <label>
-          Background: 
-          <input 
-            type="color" 
-            disabled={allControlsDisabled || transparencyMode === 'background'} 
-            value={bgColor} 
-            onChange={e => setBgColor(e.target.value)} 
-          />
-        </label>
-        
-        <h4>CRT & Filter Effects</h4>
-        <label>
-          Blur: 
-          <input 
-            type="range" 
-            disabled={allControlsDisabled} 
-            min="0" 
-            max="5" 
-            step="0.1" 
-            value={blurAmount} 
-            onChange={e => setBlurAmount(parseFloat(e.target.value))} 
-          />
-        </label>
-        <label>
-          Glitch: 
-          <input 
-            type="range" 
-            disabled={allControlsDisabled} 
-            min="0" 
-            max="1" 
-            step="0.05" 
-            value={glitchIntensity} 
-            onChange={e => setGlitchIntensity(parseFloat(e.target.value))} 
-          />
-        </label>
-        <label>
-          Noise: 
-          <input 
-            type="range" 
-            disabled={allControlsDisabled} 
-            min="0" 
-            max="0.2" 
-            step="0.005" 
-            value={noise} 
-            onChange={e => setNoise(parseFloat(e.target.value))}
-          />
-        </label>
-        <label>
-          Scanlines: 
-          <input 
-            type="range" 
-            disabled={allControlsDisabled} 
-            min="0" 
-            max="0.5" 
-            step="0.01" 
-            value={scanlineIntensity} 
-            onChange={e => setScanlineIntensity(parseFloat(e.target.value))}
-          />
-        </label>
-
-        {/* --- NEW: Typing Animation Controls --- */}
-        <h4>Typing Animation (Export)</h4>
-        <label>
-          Enable:
-          <input
-            type="checkbox"
-            disabled={allControlsDisabled}
-            checked={enableTypingAnimation}
-            onChange={e => setEnableTypingAnimation(e.target.checked)}
-          />
-        </label>
-        <label>
-          Word Duration (ms):
-          <input
-            type="range"
-            disabled={allControlsDisabled || !enableTypingAnimation}
-            min="100"
-            max="2000"
-            step="50"
-            value={typingFrameDuration}
-            onChange={e => setTypingFrameDuration(parseInt(e.target.value, 10))}
-          />
-        </label>
-        <label>
-          End Pause (ms):
-          <input
-            type="range"
-            disabled={allControlsDisabled || !enableTypingAnimation}
-            min="0"
-            max="5000"
-            step="100"
-            value={typingEndPause}
-            onChange={e => setTypingEndPause(parseInt(e.target.value, 10))}
-          />
-        </label>
-        
-        <div className="text-input">
-          <textarea 
-            disabled={allControlsDisabled} 
-            value={text} 
-            onChange={e => setText(e.target.value)} 
-            placeholder="Enter multi-line text"
-          ></textarea>
-          <div className="button-row">
+      <BarrelDistortionCanvas 
+        ref={canvasApiRef} 
+        {...previewSettings} 
+        {...previewTyping} 
+        frozenTime={isFrozen ? playhead : null} 
+        media={media} 
+        onLensCenterChange={allControlsDisabled ? undefined : handleLensCenterChange} 
+        onError={handleRendererError} 
+        onContextRestored={handleContextRestored} 
+      />
+      {rendererError && (
+        <div className="renderer-notice" role="alert">
+          <span>{rendererError.message}</span>
+          <button onClick={() => setRendererError(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+      <BarrelDistortionControls
+        settings={settings}
+        onChange={setSettings}
+        disabled={allControlsDisabled}
+        mediaType={mediaType}
+        onMediaFile={handleMediaFile}
+        customFonts={customFonts}
+        onFontFile={handleFontFile}
+        onWebcam={handleWebcam}
+        onClearMedia={() => setMedia(null)}
+        actions={
+          <>
             <button 
-              disabled={allControlsDisabled} 
-              onClick={() => setText(text.toUpperCase())}
+              disabled={allControlsDisabled || !settingsHistory.canUndo} 
+              onClick={undo}
+              title="Undo (Ctrl/Cmd+Z)"
             >
-              UPPERCASE
+              Undo
             </button>
             <button 
-              disabled={allControlsDisabled} 
-              onClick={() => setText(text.toLowerCase())}
+              disabled={allControlsDisabled || !settingsHistory.canRedo} 
+              onClick={redo}
+              title="Redo (Shift+Ctrl/Cmd+Z)"
             >
-              lowercase
+              Redo
             </button>
             <button 
               disabled={allControlsDisabled} 
-              onClick={handleReset}
+              onClick={handleExportPng}
             >
-              Reset
+              {enableTypingAnimation ? 'Export PNGs' : 'Export PNG'}
             </button>
             <button 
               disabled={allControlsDisabled} 
-              onClick={handleExportPng}
+              onClick={handleExportAnimation}
             >
-              {enableTypingAnimation ? 'Export PNGs' : 'Export PNG'}
+              {exportJob?.kind === 'animation'
+                ? `Rendering ${ANIMATION_FORMATS[animationFormat].label}...`
+                : `Export ${ANIMATION_FORMATS[animationFormat].label}`}
             </button>
             <button 
               disabled={allControlsDisabled} 
-              onClick={handleExportGif}
+              onClick={handleExportVideo}
             >
-              {isRenderingGif ? 'Rendering GIF...' : 'Export GIF'}
+              {exportJob?.kind === 'video' ? 'Rendering Video...' : 'Export Video'}
+            </button>
+            <button onClick={handleCopyLink}>
+              {linkCopied ? 'Link Copied' : 'Copy Link'}
             </button>
-          </div>
-          <div className='footer'>
-            Copyright © 2025 <a href="https://github.com/akbar2habibullah/react-barrel-distortion" target="_blank" rel="noopener noreferrer">Habibullah Akbar</a>. <br/>
-            All rights reserved.
-          </div>
+            {exportJob && (
+              <div className="export-progress">
+                <progress value={exportJob.progress} max="1" />
+                <span>{Math.round(exportJob.progress * 100)}%</span>
+                <button onClick={() => exportControllerRef.current?.abort()}>
+                  Cancel
+                </button>
+              </div>
+            )}
+          </>
+        }
+      >
+        <BarrelDistortionPresets 
+          settings={settings} 
+          onChange={setSettings} 
+          disabled={allControlsDisabled} 
+        />
+        <BarrelDistortionTimeline 
+          settings={settings} 
+          onChange={setSettings} 
+          duration={clipDuration} 
+          playhead={playhead} 
+          onPlayheadChange={setPlayhead} 
+          isPlaying={isPlaying} 
+          onPlayingChange={setIsPlaying} 
+          isFrozen={isFrozen} 
+          onFrozenChange={setIsFrozen} 
+          disabled={allControlsDisabled} 
+        />
+        <div className='footer'>
+          Copyright © 2025 <a href="https://github.com/akbar2habibullah/react-barrel-distortion" target="_blank" rel="noopener noreferrer">Habibullah Akbar</a>. <br/>
+          All rights reserved.
         </div>
-      </div>
+      </BarrelDistortionControls>
     </>
   );
 };
 
-export default BarrelDistortionText;
\ No newline at end of file
+export default BarrelDistortionText;
@@ -0,0 +1,195 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import BarrelDistortionText from './BarrelDistortionText';
+import { DEFAULT_SETTINGS } from './defaultSettings';
+import { saveSession } from './presets';
+
+// The canvas is replaced by a stub exposing the imperative API, so the
+// export handlers run without WebGL; `calls` records the order of its calls.
+// Like the real canvas, it has the preview size outside of captures.
+const { canvasApi, calls, gifs, videoEncoders } = vi.hoisted(() => {
+  const calls = [];
+  const canvas = {
+    width: 256,
+    height: 256,
+    // jsdom's Blob has no arrayBuffer(), which the ZIP export reads
+    toBlob: (callback, type) => callback({ type, arrayBuffer: () => Promise.resolve(new ArrayBuffer(5)) }),
+  };
+  const record = name => (...args) => { calls.push([name, ...args]); };
+  const canvasApi = {
+    getCanvas: () => canvas,
+    drawScene: record('drawScene'),
+    updateTextTexture: record('updateTextTexture'),
+    beginCapture: () => {
+      calls.push(['beginCapture']);
+      canvas.width = 512;
+      canvas.height = 512;
+    },
+    endCapture: () => {
+      calls.push(['endCapture']);
+      canvas.width = 256;
+      canvas.height = 256;
+    },
+  };
+  return { canvasApi, calls, gifs: [], videoEncoders: [] };
+});
+
+vi.mock('./BarrelDistortionCanvas', () => ({
+  default: ({ ref }) => {
+    if (typeof ref === 'function') ref(canvasApi);
+    else if (ref) ref.current = canvasApi;
+    return null;
+  },
+}));
+
+// gif.js encodes in workers; the stub finishes as soon as it renders
+vi.mock('gif.js', () => ({
+  default: class {
+    constructor(options) {
+      this.options = options;
+      this.frames = [];
+      this.handlers = {};
+      this.freeWorkers = [];
+      this.activeWorkers = [];
+      gifs.push(this);
+    }
+    on(event, handler) { this.handlers[event] = handler; }
+    addFrame(canvas, options) { this.frames.push(options); }
+    render() {
+      this.rendered = true;
+      setTimeout(() => {
+        this.handlers.progress?.(1);
+        this.handlers.finished?.(new Blob(['gif'], { type: 'image/gif' }));
+      });
+    }
+    abort() {}
+  },
+}));
+
+// The video encoder notes the canvas size it was created for
+vi.mock('./video', async (importOriginal) => ({
+  ...(await importOriginal()),
+  createVideoEncoder: async (canvas, options) => {
+    calls.push(['createVideoEncoder']);
+    const encoder = {
+      size: [canvas.width, canvas.height],
+      options,
+      frames: 0,
+      addFrame: async () => { encoder.frames++; },
+      finish: async () => {
+        calls.push(['finishVideo']);
+        return { type: 'video/webm' };
+      },
+      cancel: () => {},
+    };
+    videoEncoders.push(encoder);
+    return encoder;
+  },
+}));
+
+let downloads;
+
+beforeEach(() => {
+  calls.length = 0;
+  gifs.length = 0;
+  videoEncoders.length = 0;
+  downloads = [];
+  localStorage.clear();
+  document.fonts = { load: vi.fn(() => Promise.resolve([])), check: () => true };
+  URL.createObjectURL = vi.fn(() => 'blob:test');
+  URL.revokeObjectURL = vi.fn();
+  vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+    downloads.push(this.download);
+  });
+  vi.spyOn(window, 'alert').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('export handlers', () => {
+  it('exports the frame at the playhead as a PNG at full size', async () => {
+    render(<BarrelDistortionText />);
+    fireEvent.click(screen.getByText('Export PNG'));
+    await waitFor(() => expect(downloads).toEqual(['crt-distortion-effect.png']));
+
+    const names = calls.map(([name]) => name);
+    expect(names).toEqual(['beginCapture', 'updateTextTexture', 'drawScene', 'updateTextTexture', 'endCapture']);
+    expect(calls[2][1]).toBe(0);
+    expect(window.alert).not.toHaveBeenCalled();
+  });
+
+  it('renders every frame of the clip into a GIF', async () => {
+    render(<BarrelDistortionText />);
+    fireEvent.click(screen.getByText('Export GIF'));
+    await waitFor(() => expect(downloads).toEqual(['crt-distortion-effect.gif']));
+
+    const { duration, fps } = DEFAULT_SETTINGS.timeline;
+    const [gif] = gifs;
+    expect(gif.frames).toHaveLength(duration * fps);
+    expect(gif.frames[0]).toEqual({ copy: true, delay: 1000 / fps });
+    expect(gif.rendered).toBe(true);
+
+    const draws = calls.filter(([name]) => name === 'drawScene');
+    expect(draws.map(([, time]) => time)).toEqual(Array.from({ length: duration * fps }, (_, i) => i / fps));
+    expect(calls[0][0]).toBe('beginCapture');
+    expect(calls[calls.length - 1][0]).toBe('endCapture');
+    expect(window.alert).not.toHaveBeenCalled();
+  });
+
+  it('encodes video at the output size, not the preview size', async () => {
+    render(<BarrelDistortionText />);
+    fireEvent.click(screen.getByText('Export Video'));
+    await waitFor(() => expect(downloads).toEqual(['crt-distortion-effect.webm']));
+
+    const [encoder] = videoEncoders;
+    expect(encoder.size).toEqual([DEFAULT_SETTINGS.width, DEFAULT_SETTINGS.height]);
+    expect(encoder.frames).toBe(DEFAULT_SETTINGS.timeline.duration * DEFAULT_SETTINGS.timeline.fps);
+    const names = calls.map(([name]) => name);
+    expect(names.indexOf('beginCapture')).toBeLessThan(names.indexOf('createVideoEncoder'));
+    expect(names.indexOf('finishVideo')).toBeLessThan(names.indexOf('endCapture'));
+  });
+
+  it('exports one PNG per typing step in a ZIP', async () => {
+    saveSession({ ...DEFAULT_SETTINGS, text: 'one two three', enableTypingAnimation: true });
+    render(<BarrelDistortionText />);
+    fireEvent.click(screen.getByText('Export PNGs'));
+    await waitFor(() => expect(downloads).toEqual(['crt-animation-frames.zip']));
+    expect(calls.filter(([name]) => name === 'drawScene')).toHaveLength(3);
+  });
+
+  it('reports failed exports and restores the preview', async () => {
+    vi.spyOn(canvasApi, 'drawScene').mockImplementation(() => {
+      throw new Error('boom');
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    render(<BarrelDistortionText />);
+    fireEvent.click(screen.getByText('Export GIF'));
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Export failed: boom'));
+    expect(calls[calls.length - 1][0]).toBe('endCapture');
+    expect(downloads).toEqual([]);
+    expect(screen.getByText('Export GIF')).toHaveProperty('disabled', false);
+  });
+});
+
+describe('preview playback', () => {
+  it('loops a typing animation that lasts no time over one frame', () => {
+    // One word and no end pause: the schedule is 0s long
+    saveSession({ ...DEFAULT_SETTINGS, text: 'Hi', enableTypingAnimation: true, typingEndPause: 0 });
+    const frames = [];
+    vi.stubGlobal('requestAnimationFrame', callback => frames.push(callback));
+    vi.stubGlobal('cancelAnimationFrame', () => {});
+    render(<BarrelDistortionText />);
+
+    fireEvent.click(screen.getByText('Play'));
+    const start = performance.now();
+    act(() => frames.shift()(start + 50));
+    // 50ms modulo one frame at 24fps
+    expect(screen.getByText(/^0\.01s:/)).toBeTruthy();
+  });
+});
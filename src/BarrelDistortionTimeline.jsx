@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import {
+  EASINGS,
+  evaluateTimeline,
+  getAnimatableParams,
+  removeKeyframe,
+  setKeyframe,
+  updateKeyframe,
+} from './timeline';
+
+const formatValue = (value) => (typeof value === 'number' ? Number(value.toFixed(3)) : value);
+
+// --- The Timeline Panel ---
+// Edits `settings.timeline`: clip duration and frame rate, a playhead to
+// preview any moment, and keyframes for numeric and color settings. A
+// keyframe stores the setting's current slider value at the playhead;
+// keyframed settings then follow the timeline instead of their slider.
+// `duration` is the length of the previewed clip when something other than
+// the timeline sets it (a typing animation); the scrubber spans it. With
+// Freeze Frame the preview's effects also stop at the playhead, showing
+// exactly the frame an export renders at that time.
+const BarrelDistortionTimeline = ({
+  settings,
+  onChange,
+  duration,
+  playhead,
+  onPlayheadChange,
+  isPlaying,
+  onPlayingChange,
+  isFrozen = false,
+  onFrozenChange,
+  disabled = false,
+}) => {
+  const { timeline } = settings;
+  const animatableParams = getAnimatableParams();
+  const [selectedKey, setSelectedKey] = useState(animatableParams[0].key);
+  const frameTime = 1 / timeline.fps;
+
+  const updateTimeline = (nextTimeline) => onChange({ ...settings, timeline: nextTimeline });
+  const getLabel = (key) => animatableParams.find(param => param.key === key)?.label ?? key;
+
+  const handleAddKeyframe = () => {
+    updateTimeline(setKeyframe(timeline, selectedKey, { time: playhead, value: settings[selectedKey] }));
+  };
+
+  const handleDuration = (nextDuration) => {
+    updateTimeline({ ...timeline, duration: nextDuration });
+    if (duration === undefined && playhead > nextDuration) onPlayheadChange(nextDuration);
+  };
+
+  const animated = evaluateTimeline(settings, playhead);
+  const tracks = Object.entries(timeline.tracks);
+
+  // --- Render ---
+  return (
+    <div className="timeline">
+      <h4>Timeline</h4>
+      <label>
+        Duration (s): 
+        <input 
+          type="range" 
+          disabled={disabled} 
+          min="0.5" 
+          max="20" 
+          step="0.5" 
+          value={timeline.duration} 
+          onChange={e => handleDuration(parseFloat(e.target.value))} 
+        />
+      </label>
+      <label>
+        FPS: 
+        <input 
+          type="range" 
+          disabled={disabled} 
+          min="1" 
+          max="60" 
+          step="1" 
+          value={timeline.fps} 
+          onChange={e => updateTimeline({ ...timeline, fps: parseInt(e.target.value, 10) })} 
+        />
+      </label>
+      <label>
+        {playhead.toFixed(2)}s: 
+        <input 
+          type="range" 
+          disabled={disabled} 
+          min="0" 
+          max={duration ?? timeline.duration} 
+          step={frameTime} 
+          value={playhead} 
+          onChange={e => {
+            onPlayingChange(false);
+            onPlayheadChange(parseFloat(e.target.value));
+          }} 
+        />
+      </label>
+      {onFrozenChange && (
+        <label>
+          Freeze Frame: 
+          <input 
+            type="checkbox" 
+            disabled={disabled} 
+            checked={isFrozen} 
+            onChange={e => onFrozenChange(e.target.checked)} 
+          />
+        </label>
+      )}
+      <div className="button-row">
+        <button disabled={disabled} onClick={() => onPlayingChange(!isPlaying)}>
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <select 
+          disabled={disabled} 
+          value={selectedKey} 
+          onChange={e => setSelectedKey(e.target.value)}
+        >
+          {animatableParams.map(param => (
+            <option key={param.key} value={param.key}>{param.label}</option>
+          ))}
+        </select>
+        <button disabled={disabled} onClick={handleAddKeyframe}>
+          Set Key
+        </button>
+      </div>
+
+      {tracks.map(([key, keyframes]) => (
+        <div className="track" key={key}>
+          <div className="track-header">
+            {getLabel(key)} = {formatValue(animated[key])}
+          </div>
+          {keyframes.map((keyframe, index) => (
+            <div className="keyframe" key={`${keyframe.time}-${index}`}>
+              <button 
+                disabled={disabled} 
+                onClick={() => onPlayheadChange(keyframe.time)} 
+                title="Jump to keyframe"
+              >
+                {keyframe.time.toFixed(2)}s
+              </button>
+              <span className="keyframe-value">{formatValue(keyframe.value)}</span>
+              <select 
+                disabled={disabled} 
+                value={keyframe.easing} 
+                onChange={e => updateTimeline(updateKeyframe(timeline, key, index, { easing: e.target.value }))}
+              >
+                {Object.keys(EASINGS).map(easing => (
+                  <option key={easing} value={easing}>{easing}</option>
+                ))}
+              </select>
+              <button 
+                disabled={disabled} 
+                onClick={() => updateTimeline(removeKeyframe(timeline, key, index))} 
+                title="Remove keyframe"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BarrelDistortionTimeline;
@@ -0,0 +1,437 @@
+import { vsSource, buildFragmentSource } from './shaders';
+import { getClearColor } from './background';
+import { LENS_UNIFORMS } from './passes';
+import {
+  DEFAULT_RENDER_PARAMS,
+  RendererError,
+  getActivePasses,
+  getDraws,
+  getFrameInfo,
+  getSeedOffset,
+  getSupersampling,
+  toUniformValue,
+} from './rendering';
+
+const CONTEXT_ATTRIBUTES = { preserveDrawingBuffer: true, alpha: true };
+
+// Prefers WebGL2 and falls back to WebGL1. The passes are written in GLSL ES
+// 1.00, which both accept.
+const getWebGLContext = (canvas) =>
+  canvas.getContext('webgl2', CONTEXT_ATTRIBUTES) ?? canvas.getContext('webgl', CONTEXT_ATTRIBUTES);
+
+// Compiles a shader, throwing a RendererError('shader') with the driver's log
+// if it fails. Exported as part of the package API.
+export const compileShader = (gl, source, type, label = 'Shader') => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS) && !gl.isContextLost()) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new RendererError('shader', `${label} failed to compile: ${log}`);
+  }
+  return shader;
+};
+
+// Compiles and links a program, throwing a RendererError with the driver's
+// log if either step fails.
+const createProgram = (gl, fragmentSource, label) => {
+  const vertexShader = compileShader(gl, vsSource, gl.VERTEX_SHADER, `The vertex shader of ${label}`);
+  let fragmentShader;
+  try {
+    fragmentShader = compileShader(gl, fragmentSource, gl.FRAGMENT_SHADER, label);
+  } catch (error) {
+    gl.deleteShader(vertexShader);
+    throw error;
+  }
+  const program = gl.createProgram();
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS) && !gl.isContextLost()) {
+    const log = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    throw new RendererError('shader', `${label} failed to link: ${log}`);
+  }
+  return { program, vertexShader, fragmentShader };
+};
+
+const isPowerOfTwo = (value) => value > 0 && (value & (value - 1)) === 0;
+
+// Uploads a uniform according to its GLSL type (see toUniformValue).
+const setUniform = (gl, { type, location }, value) => {
+  value = toUniformValue(value);
+  switch (type) {
+    case gl.FLOAT: gl.uniform1f(location, value); break;
+    case gl.FLOAT_VEC2: gl.uniform2fv(location, value.slice(0, 2)); break;
+    case gl.FLOAT_VEC3: gl.uniform3fv(location, value.slice(0, 3)); break;
+    case gl.FLOAT_VEC4: gl.uniform4fv(location, value.slice(0, 4)); break;
+    default: gl.uniform1i(location, Number(value)); // int, bool, sampler
+  }
+};
+
+// --- The Renderer ---
+// Framework-agnostic WebGL renderer. It owns the context, the quad buffers,
+// the source texture, one program per effect pass and two framebuffers to
+// ping-pong between passes; React, Vue or plain scripts only feed it
+// parameters and a source (see sources.js).
+//
+// With `params.supersampling` above 1 the passes draw into framebuffers that
+// many times the canvas size and DOWNSAMPLE_PASS averages the result into the
+// canvas. In 'high' quality, passes marked `mipmaps` read a mipmapped input
+// (always in WebGL2, only at power-of-two sizes in WebGL1).
+//
+// Problems are reported to `onError` with a RendererError instead of
+// stopping the loop: a pass that fails to compile is skipped, and while the
+// context is lost frames are not drawn. When the browser restores the
+// context, every GL object is rebuilt and `onContextRestored` is called.
+// Without WebGL the constructor throws a RendererError with code
+// 'unavailable'; createRenderer (see createRenderer.js) falls back to the
+// CPU renderer then.
+export default class BarrelRenderer {
+  constructor(canvas, { onError, onContextRestored } = {}) {
+    const gl = getWebGLContext(canvas);
+    if (!gl) {
+      throw new RendererError('unavailable', 'WebGL is not supported on this device');
+    }
+
+    this.canvas = canvas;
+    this.gl = gl;
+    this.isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+    this.onError = onError ?? (error => console.error(error));
+    this.onContextRestored = onContextRestored;
+    this.params = { ...DEFAULT_RENDER_PARAMS };
+    this.source = null;
+    this.sourceWidth = 0;
+    this.sourceHeight = 0;
+    this.animationFrameId = null;
+    this.frozenTime = null;
+    this.programs = new Map(); // pass -> program info, compiled on first use
+    this.failedPasses = new Set(); // passes whose program could not be built
+    this.framebuffers = [];
+    this.contextLost = false;
+
+    // Without preventDefault the browser never restores a lost context
+    this.handleContextLost = (event) => {
+      event.preventDefault();
+      this.contextLost = true;
+      this.onError(new RendererError('context-lost', 'The graphics context was lost; waiting for it to be restored'));
+    };
+    this.handleContextRestored = () => {
+      this.contextLost = false;
+      this.createResources();
+      if (this.source) this.uploadSource();
+      this.onContextRestored?.();
+    };
+    canvas.addEventListener?.('webglcontextlost', this.handleContextLost);
+    canvas.addEventListener?.('webglcontextrestored', this.handleContextRestored);
+
+    this.createResources();
+  }
+
+  // Creates the quad buffers and source texture. After a context loss the old
+  // objects are gone, so the program and framebuffer caches start over too.
+  createResources() {
+    const gl = this.gl;
+    this.programs.clear();
+    this.failedPasses.clear();
+    this.framebuffers = [];
+
+    // Create buffers
+    const positionBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+      -1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1
+    ]), gl.STATIC_DRAW);
+
+    const texCoordBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+      0, 1, 1, 1, 0, 0, 0, 0, 1, 1, 1, 0
+    ]), gl.STATIC_DRAW);
+
+    this.buffers = {
+      position: positionBuffer,
+      texCoord: texCoordBuffer
+    };
+
+    // Create texture
+    this.texture = this.createTexture();
+
+    this.anisotropy = gl.getExtension('EXT_texture_filter_anisotropic');
+    this.maxAnisotropy = this.anisotropy
+      ? Math.min(8, gl.getParameter(this.anisotropy.MAX_TEXTURE_MAX_ANISOTROPY_EXT))
+      : 1;
+    const [maxViewportWidth, maxViewportHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS) ?? [0, 0];
+    this.maxRenderSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), maxViewportWidth, maxViewportHeight);
+  }
+
+  createTexture() {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    return texture;
+  }
+
+  // Compiles and links the program for `pass` and looks up its uniforms.
+  // Throws a RendererError if the pass's GLSL does not build.
+  getProgramInfo(pass) {
+    const cached = this.programs.get(pass);
+    if (cached) return cached;
+
+    const gl = this.gl;
+    const { program, vertexShader, fragmentShader } = createProgram(
+      gl,
+      buildFragmentSource(pass.glsl),
+      `The "${pass.label}" pass`,
+    );
+
+    const uniforms = {};
+    const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS) || 0;
+    for (let i = 0; i < uniformCount; i++) {
+      const { name, type } = gl.getActiveUniform(program, i);
+      uniforms[name] = { type, location: gl.getUniformLocation(program, name) };
+    }
+
+    const programInfo = {
+      program,
+      vertexShader,
+      fragmentShader,
+      attribLocations: {
+        position: gl.getAttribLocation(program, 'aPosition'),
+        texCoord: gl.getAttribLocation(program, 'aTexCoord')
+      },
+      uniforms,
+    };
+    this.programs.set(pass, programInfo);
+    return programInfo;
+  }
+
+  // Whether `pass` has a working program, building it on first use. A pass
+  // that fails is reported once and skipped from then on.
+  canRun(pass) {
+    if (this.failedPasses.has(pass)) return false;
+    try {
+      this.getProgramInfo(pass);
+      return true;
+    } catch (error) {
+      this.failedPasses.add(pass);
+      this.onError(error);
+      return false;
+    }
+  }
+
+  // Returns the framebuffer `index` (0 or 1), sized to `width` × `height`.
+  getFramebuffer(index, width, height) {
+    const gl = this.gl;
+    let target = this.framebuffers[index];
+    if (!target) {
+      target = { framebuffer: gl.createFramebuffer(), texture: this.createTexture(), width: 0, height: 0 };
+      this.framebuffers[index] = target;
+    }
+    if (target.width !== width || target.height !== height) {
+      gl.bindTexture(gl.TEXTURE_2D, target.texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+      target.width = width;
+      target.height = height;
+    }
+    return target;
+  }
+
+  // Merges effect parameters; they take effect on the next `render`.
+  // `passes` is the ordered pipeline: `[{ id, enabled }]` of registered passes.
+  setParams(params) {
+    Object.assign(this.params, params);
+  }
+
+  // Sets what to distort: an image, video or canvas, or a source object from
+  // sources.js. Call it again with the same element after redrawing it.
+  // Dynamic sources (video, webcam) are re-uploaded on every `render`.
+  setSource(source) {
+    this.source = source;
+    this.uploadSource();
+  }
+
+  uploadSource() {
+    const gl = this.gl;
+    if (this.contextLost) return; // uploaded again once the context is back
+    const element = this.source.element ?? this.source;
+    this.sourceWidth = element.videoWidth || element.naturalWidth || element.width;
+    this.sourceHeight = element.videoHeight || element.naturalHeight || element.height;
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    // The page composites the canvas as premultiplied alpha, so the passes
+    // work on premultiplied colors and translucent backgrounds blend right
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, element);
+  }
+
+  // Switches mipmapped sampling of `input` ({ texture, width, height }) on or
+  // off. Levels are rebuilt each time, since the texture's contents change
+  // every frame; when off, the filter goes back to LINEAR so stale levels
+  // are never read.
+  setMipmaps(input, enabled) {
+    const gl = this.gl;
+    const mipmapped = enabled && (this.isWebGL2 || (isPowerOfTwo(input.width) && isPowerOfTwo(input.height)));
+    gl.bindTexture(gl.TEXTURE_2D, input.texture);
+    if (mipmapped) gl.generateMipmap(gl.TEXTURE_2D);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, mipmapped ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+    if (this.anisotropy) {
+      gl.texParameterf(gl.TEXTURE_2D, this.anisotropy.TEXTURE_MAX_ANISOTROPY_EXT, mipmapped ? this.maxAnisotropy : 1);
+    }
+  }
+
+  // The enabled, registered passes that would change the image and that
+  // build, with the settings each one sees.
+  getActivePasses() {
+    return getActivePasses(this.params, pass => this.canRun(pass));
+  }
+
+  // Draws one frame at `time` seconds into the canvas at its current size. The
+  // source texture defines the output resolution; the canvas may be smaller
+  // (e.g. a live preview) as long as it has the same aspect ratio.
+  render(time) {
+    const gl = this.gl;
+    if (!gl || this.contextLost) return;
+    if (this.source?.dynamic) {
+      this.source.update?.(time);
+      this.uploadSource();
+    }
+    const { width, height } = this.canvas;
+    const supersampling = getSupersampling(this.params, width, height, this.maxRenderSize);
+    const renderWidth = width * supersampling;
+    const renderHeight = height * supersampling;
+    const frame = getFrameInfo(time, this.sourceWidth || width, this.sourceHeight || height, {
+      renderWidth,
+      renderHeight,
+      supersampling,
+    });
+
+    const draws = getDraws(this.getActivePasses(), supersampling);
+    let input = { texture: this.texture, width: this.sourceWidth, height: this.sourceHeight };
+
+    draws.forEach(({ pass, params, stepUniforms }, index) => {
+      const isLast = index === draws.length - 1;
+      this.setMipmaps(input, Boolean(pass.mipmaps) && params.quality === 'high');
+      const target = isLast ? null : this.getFramebuffer(index % 2, renderWidth, renderHeight);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+      gl.viewport(0, 0, isLast ? width : renderWidth, isLast ? height : renderHeight);
+
+      if (isLast) {
+        // The background the source canvas is filled with, premultiplied like
+        // everything else drawn to the canvas
+        const { r, g, b, a } = getClearColor(params);
+        gl.clearColor(r * a, g * a, b * a, a);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+      }
+
+      this.drawPass(pass, params, stepUniforms, input.texture, frame, !isLast);
+      if (target) input = target;
+    });
+  }
+
+  drawPass(pass, params, stepUniforms, input, frame, toFramebuffer) {
+    const gl = this.gl;
+    const programInfo = this.getProgramInfo(pass);
+    const { uniforms } = programInfo;
+    gl.useProgram(programInfo.program);
+
+    // Bind position buffer
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.position);
+    gl.vertexAttribPointer(programInfo.attribLocations.position, 2, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(programInfo.attribLocations.position);
+
+    // Bind texture coordinate buffer
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.texCoord);
+    gl.vertexAttribPointer(programInfo.attribLocations.texCoord, 2, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(programInfo.attribLocations.texCoord);
+
+    // Bind the previous pass's output
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, input);
+
+    // Shared uniforms (see fsHeader); ones a pass doesn't use are compiled out
+    const shared = {
+      uInput: 0,
+      uFlipY: toFramebuffer ? 1 : 0,
+      uTime: frame.time,
+      uSeed: getSeedOffset(params.seed),
+      uTexelSize: frame.texelSize,
+      uPixelSize: frame.pixelSize,
+      uAspect: frame.aspect,
+    };
+    Object.entries(shared).forEach(([name, value]) => {
+      if (uniforms[name]) setUniform(gl, uniforms[name], value);
+    });
+
+    // Lens and pass uniforms
+    [LENS_UNIFORMS, pass.uniforms].forEach(uniformSpecs => {
+      Object.entries(uniformSpecs).forEach(([name, spec]) => {
+        if (!uniforms[name]) return;
+        const value = typeof spec === 'function' ? spec(params, frame) : params[spec];
+        setUniform(gl, uniforms[name], value);
+      });
+    });
+
+    // Values of this step of the pass
+    Object.entries(stepUniforms).forEach(([name, value]) => {
+      if (uniforms[name]) setUniform(gl, uniforms[name], value);
+    });
+
+    // Draw
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  }
+
+  // Holds the live loop at `time` seconds, or lets it follow the clock again
+  // with null. Frames keep being drawn, so parameter changes still show.
+  setFrozenTime(time) {
+    this.frozenTime = time;
+  }
+
+  // Starts the requestAnimationFrame loop.
+  start() {
+    if (this.animationFrameId !== null) return;
+    const loop = (time) => {
+      this.render(this.frozenTime ?? time * 0.001);
+      this.animationFrameId = requestAnimationFrame(loop);
+    };
+    this.animationFrameId = requestAnimationFrame(loop);
+  }
+
+  stop() {
+    if (this.animationFrameId === null) return;
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+  }
+
+  // Stops the loop and frees every GL object. The renderer is unusable after.
+  dispose() {
+    this.stop();
+    const gl = this.gl;
+    if (!gl) return;
+    this.canvas.removeEventListener?.('webglcontextlost', this.handleContextLost);
+    this.canvas.removeEventListener?.('webglcontextrestored', this.handleContextRestored);
+    this.programs.forEach(({ program, vertexShader, fragmentShader }) => {
+      gl.deleteProgram(program);
+      gl.deleteShader(vertexShader);
+      gl.deleteShader(fragmentShader);
+    });
+    this.programs.clear();
+    this.framebuffers.forEach(({ framebuffer, texture }) => {
+      gl.deleteFramebuffer(framebuffer);
+      gl.deleteTexture(texture);
+    });
+    this.framebuffers = [];
+    gl.deleteTexture(this.texture);
+    gl.deleteBuffer(this.buffers.position);
+    gl.deleteBuffer(this.buffers.texCoord);
+    this.gl = null;
+    this.source = null;
+  }
+}
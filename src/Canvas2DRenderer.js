@@ -0,0 +1,273 @@
+import { LENS_UNIFORMS } from './passes';
+import { CPU_EFFECTS, createImage, createLensMap, createRandom, inBounds } from './cpuPasses';
+import {
+  DEFAULT_RENDER_PARAMS,
+  RendererError,
+  getActivePasses,
+  getDraws,
+  getFrameInfo,
+  getSeedOffset,
+  getSupersampling,
+  toUniformValue,
+} from './rendering';
+
+// Float buffers take 16 bytes a pixel, so supersampling is capped lower than
+// on the GPU
+const MAX_RENDER_SIZE = 4096;
+
+// A full-size frame can take over a second, so the live loop only draws when
+// something changed or a dynamic source moved on (effects that follow the
+// clock hold still in between), at most every LIVE_FRAME_INTERVAL ms and at
+// no more than LIVE_MAX_PIXELS, scaled up to the canvas. Direct render()
+// calls, as exports make, stay full size.
+const LIVE_MAX_PIXELS = 256 * 256;
+const LIVE_FRAME_INTERVAL = 100;
+
+const resolveUniforms = (specs, params, frame) => Object.fromEntries(
+  Object.entries(specs).map(([name, spec]) => [
+    name,
+    toUniformValue(typeof spec === 'function' ? spec(params, frame) : params[spec]),
+  ])
+);
+
+// Runs `effect` for every pixel of `output`.
+const runEffect = (effect, output) => {
+  const { width, height, data } = output;
+  const color = new Float32Array(4);
+  let index = 0;
+  for (let y = 0; y < height; y++) {
+    const v = (y + 0.5) / height;
+    for (let x = 0; x < width; x++) {
+      effect((x + 0.5) / width, v, color);
+      data[index] = color[0];
+      data[index + 1] = color[1];
+      data[index + 2] = color[2];
+      data[index + 3] = color[3];
+      index += 4;
+    }
+  }
+};
+
+// --- The CPU Renderer ---
+// Drop-in stand-in for BarrelRenderer on a 2D canvas, for devices without
+// WebGL. The built-in passes run as JavaScript ports (see cpuPasses.js), so
+// the output matches the WebGL renderer's, only much slower: fine for
+// exports, coarse and choppy as a live preview. Passes without a port
+// (custom ones) are skipped and reported to `onError` once. Supersampling
+// works as in BarrelRenderer; 'high' quality has no mipmaps here, only the
+// footprint sampling of the lens pass.
+//
+// `createCanvas(width, height)` makes the scratch canvas that images and
+// videos are read back through; it defaults to a DOM canvas.
+export default class Canvas2DRenderer {
+  constructor(canvas, { onError, createCanvas } = {}) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw new RendererError('unsupported', 'This canvas supports neither WebGL nor 2D drawing');
+    }
+
+    this.canvas = canvas;
+    this.ctx = ctx;
+    this.onError = onError ?? (error => console.error(error));
+    this.createCanvas = createCanvas ?? ((width, height) => {
+      const scratch = document.createElement('canvas');
+      scratch.width = width;
+      scratch.height = height;
+      return scratch;
+    });
+    this.params = { ...DEFAULT_RENDER_PARAMS };
+    this.source = null;
+    this.sourceImage = null;
+    this.scratch = null;
+    this.buffers = [];
+    this.animationFrameId = null;
+    this.frozenTime = null;
+    this.previewCanvas = null;
+    this.needsRender = true; // whether the live loop has a change to draw
+    this.skippedPasses = new Set(); // passes without a CPU port, reported once
+  }
+
+  setParams(params) {
+    if (Object.entries(params).some(([key, value]) => this.params[key] !== value)) {
+      this.needsRender = true;
+    }
+    Object.assign(this.params, params);
+  }
+
+  setSource(source) {
+    this.source = source;
+    this.uploadSource();
+    this.needsRender = true;
+  }
+
+  // Reads the source's pixels into a premultiplied float image, as the WebGL
+  // renderer's premultiplied texture upload does.
+  uploadSource() {
+    const element = this.source.element ?? this.source;
+    const width = element.videoWidth || element.naturalWidth || element.width;
+    const height = element.videoHeight || element.naturalHeight || element.height;
+    if (!width || !height) return; // Not loaded yet
+
+    if (this.scratch?.width !== width || this.scratch?.height !== height) {
+      this.scratch = this.createCanvas(width, height);
+    }
+    const scratchCtx = this.scratch.getContext('2d');
+    scratchCtx.clearRect(0, 0, width, height);
+    scratchCtx.drawImage(element, 0, 0, width, height);
+    const pixels = scratchCtx.getImageData(0, 0, width, height).data;
+
+    const data = new Float32Array(pixels.length);
+    for (let i = 0; i < pixels.length; i += 4) {
+      const alpha = pixels[i + 3] / 255;
+      data[i] = (pixels[i] / 255) * alpha;
+      data[i + 1] = (pixels[i + 1] / 255) * alpha;
+      data[i + 2] = (pixels[i + 2] / 255) * alpha;
+      data[i + 3] = alpha;
+    }
+    this.sourceImage = createImage(width, height, data);
+  }
+
+  canRun(pass) {
+    if (CPU_EFFECTS[pass.id]) return true;
+    if (!this.skippedPasses.has(pass)) {
+      this.skippedPasses.add(pass);
+      this.onError(new RendererError('shader', `The "${pass.label}" pass has no CPU version and is skipped`));
+    }
+    return false;
+  }
+
+  getActivePasses() {
+    return getActivePasses(this.params, pass => this.canRun(pass));
+  }
+
+  // Returns float buffer `index` at `width` × `height`: 0 and 1 ping-pong
+  // like the framebuffers, 2 holds a downsampled frame.
+  getBuffer(index, width, height) {
+    const buffer = this.buffers[index];
+    if (buffer?.width === width && buffer?.height === height) return buffer;
+    this.buffers[index] = createImage(width, height);
+    return this.buffers[index];
+  }
+
+  // Draws one frame at `time` seconds, like BarrelRenderer#render.
+  render(time) {
+    this.renderAt(time, this.canvas.width, this.canvas.height);
+  }
+
+  // Draws one frame at `width` × `height` and scales it to the canvas.
+  renderAt(time, width, height) {
+    if (this.source?.dynamic) {
+      this.source.update?.(time);
+      this.uploadSource();
+    }
+    if (!this.sourceImage) return;
+
+    const supersampling = getSupersampling(this.params, width, height, MAX_RENDER_SIZE);
+    const renderWidth = width * supersampling;
+    const renderHeight = height * supersampling;
+    const frame = getFrameInfo(time, this.sourceImage.width, this.sourceImage.height, {
+      renderWidth,
+      renderHeight,
+      supersampling,
+    });
+    const random = createRandom(getSeedOffset(this.params.seed));
+    let input = this.sourceImage;
+    const draws = getDraws(this.getActivePasses(), supersampling);
+
+    draws.forEach(({ pass, params, stepUniforms }, index) => {
+      const uniforms = {
+        ...resolveUniforms(LENS_UNIFORMS, params, frame),
+        ...resolveUniforms(pass.uniforms, params, frame),
+        ...stepUniforms,
+      };
+      const effect = CPU_EFFECTS[pass.id]({
+        uniforms,
+        time,
+        texelSize: frame.texelSize,
+        pixelSize: frame.pixelSize,
+        aspect: frame.aspect,
+        random,
+        lensMap: createLensMap(uniforms, frame.aspect),
+        inBounds,
+        input,
+      });
+      const isLast = index === draws.length - 1;
+      // The downsampled frame gets its own buffer, so the ping-pong pair
+      // keeps its supersampled size from frame to frame
+      const output = isLast
+        ? this.getBuffer(supersampling > 1 ? 2 : index % 2, width, height)
+        : this.getBuffer(index % 2, renderWidth, renderHeight);
+      runEffect(effect, output);
+      input = output;
+    });
+
+    // Back to straight 8-bit alpha for the 2D canvas
+    const imageData = this.ctx.createImageData(width, height);
+    const pixels = imageData.data;
+    for (let i = 0; i < pixels.length; i += 4) {
+      const alpha = Math.min(1, Math.max(0, input.data[i + 3]));
+      if (alpha === 0) continue;
+      pixels[i] = (input.data[i] / alpha) * 255;
+      pixels[i + 1] = (input.data[i + 1] / alpha) * 255;
+      pixels[i + 2] = (input.data[i + 2] / alpha) * 255;
+      pixels[i + 3] = alpha * 255;
+    }
+    if (width === this.canvas.width && height === this.canvas.height) {
+      this.ctx.putImageData(imageData, 0, 0);
+      return;
+    }
+    if (this.previewCanvas?.width !== width || this.previewCanvas?.height !== height) {
+      this.previewCanvas = this.createCanvas(width, height);
+    }
+    this.previewCanvas.getContext('2d').putImageData(imageData, 0, 0);
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.drawImage(this.previewCanvas, 0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  setFrozenTime(time) {
+    if (time !== this.frozenTime) this.needsRender = true;
+    this.frozenTime = time;
+  }
+
+  start() {
+    if (this.animationFrameId !== null) return;
+    let nextFrame = 0;
+    let drawnSize = null;
+    const loop = (time) => {
+      const { width, height } = this.canvas;
+      const size = `${width}x${height}`; // resizing the canvas clears it
+      if ((this.needsRender || this.source?.dynamic || size !== drawnSize) && time >= nextFrame) {
+        this.needsRender = false;
+        drawnSize = size;
+        const scale = Math.min(1, Math.sqrt(LIVE_MAX_PIXELS / (width * height)));
+        const started = performance.now();
+        this.renderAt(
+          this.frozenTime ?? time * 0.001,
+          Math.max(1, Math.round(width * scale)),
+          Math.max(1, Math.round(height * scale))
+        );
+        // Leaves the page at least as long again as the frame took
+        const elapsed = performance.now() - started;
+        nextFrame = time + Math.max(LIVE_FRAME_INTERVAL, elapsed * 2);
+      }
+      this.animationFrameId = requestAnimationFrame(loop);
+    };
+    this.needsRender = true;
+    this.animationFrameId = requestAnimationFrame(loop);
+  }
+
+  stop() {
+    if (this.animationFrameId === null) return;
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+  }
+
+  dispose() {
+    this.stop();
+    this.source = null;
+    this.sourceImage = null;
+    this.scratch = null;
+    this.previewCanvas = null;
+    this.buffers = [];
+  }
+}
@@ -0,0 +1,107 @@
+import { createCanvas } from '@napi-rs/canvas';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import Canvas2DRenderer from './Canvas2DRenderer';
+
+// --- Live Loop ---
+// requestAnimationFrame is driven by hand so each test picks the frame times.
+
+let pendingFrames;
+let nextFrameId;
+
+const runFrame = (time) => {
+  const frames = [...pendingFrames.values()];
+  pendingFrames.clear();
+  frames.forEach(callback => callback(time));
+};
+
+const createSource = (size) => {
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ff8000';
+  ctx.fillRect(0, 0, size, size);
+  return canvas;
+};
+
+const createRenderer = (size) => {
+  const renderer = new Canvas2DRenderer(createCanvas(size, size), { createCanvas });
+  renderer.setParams({ quality: 'fast' });
+  renderer.setSource(createSource(size));
+  return renderer;
+};
+
+beforeEach(() => {
+  pendingFrames = new Map();
+  nextFrameId = 1;
+  vi.stubGlobal('requestAnimationFrame', (callback) => {
+    const id = nextFrameId++;
+    pendingFrames.set(id, callback);
+    return id;
+  });
+  vi.stubGlobal('cancelAnimationFrame', id => pendingFrames.delete(id));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('Canvas2DRenderer live loop', () => {
+  it('draws only after a change, at most every 100 ms', () => {
+    const renderer = createRenderer(64);
+    const renderAt = vi.spyOn(renderer, 'renderAt').mockImplementation(() => {});
+    renderer.start();
+
+    runFrame(1000);
+    expect(renderAt).toHaveBeenCalledTimes(1);
+    runFrame(1200);
+    runFrame(1400);
+    expect(renderAt).toHaveBeenCalledTimes(1);
+
+    // The same values again are not a change
+    renderer.setParams({ quality: 'fast' });
+    runFrame(1600);
+    expect(renderAt).toHaveBeenCalledTimes(1);
+
+    renderer.setParams({ k1: 0.3 });
+    runFrame(1650);
+    expect(renderAt).toHaveBeenCalledTimes(2);
+    renderer.setFrozenTime(2);
+    runFrame(1700);
+    expect(renderAt).toHaveBeenCalledTimes(2);
+    runFrame(1750);
+    expect(renderAt).toHaveBeenCalledTimes(3);
+    expect(renderAt).toHaveBeenLastCalledWith(2, 64, 64);
+
+    renderer.stop();
+    expect(pendingFrames.size).toBe(0);
+  });
+
+  it('keeps drawing a dynamic source, capped', () => {
+    const renderer = createRenderer(64);
+    const renderAt = vi.spyOn(renderer, 'renderAt').mockImplementation(() => {});
+    const source = createSource(64);
+    source.dynamic = true;
+    renderer.setSource(source);
+    renderer.start();
+
+    for (let time = 1000; time < 2000; time += 16) runFrame(time);
+    expect(renderAt.mock.calls.length).toBeGreaterThanOrEqual(9);
+    expect(renderAt.mock.calls.length).toBeLessThanOrEqual(10);
+    renderer.dispose();
+  });
+
+  it('draws the preview at a reduced size and exports at full size', () => {
+    const renderer = createRenderer(512);
+    const renderAt = vi.spyOn(renderer, 'renderAt');
+    renderer.start();
+    runFrame(1000);
+    expect(renderAt).toHaveBeenLastCalledWith(1, 256, 256);
+    // Scaled up over the whole canvas
+    const corner = renderer.canvas.getContext('2d').getImageData(511, 511, 1, 1).data;
+    expect(corner[3]).toBe(255);
+
+    renderer.stop();
+    renderer.render(1);
+    expect(renderAt).toHaveBeenLastCalledWith(1, 512, 512);
+    renderer.dispose();
+  });
+});
@@ -0,0 +1,56 @@
+import { createApngEncoder } from './apng';
+import { createGif } from './gif';
+import { createWebpEncoder } from './webp';
+
+// --- Animated Image Export ---
+// One interface over the GIF, APNG and WebP encoders, so exports can share a
+// frame loop: `addFrame(canvas)` after drawing each frame, then
+// `finish(onProgress)` resolves to the file, or `cancel()` abandons it. GIF
+// transparency is 1-bit; APNG and WebP keep 8-bit alpha.
+
+export const ANIMATION_FORMATS = {
+  gif: { label: 'GIF', extension: 'gif' },
+  apng: { label: 'APNG', extension: 'png' },
+  webp: { label: 'WebP', extension: 'webp' },
+};
+
+// gif.js encodes in web workers after all frames are added; its progress
+// events drive `onProgress`. gif.js never reports worker failures and keeps
+// idle workers alive, so both are handled here.
+const createGifEncoder = ({ fps, loop }) => {
+  const gif = createGif(loop ? {} : { repeat: -1 });
+  const terminateWorkers = () => {
+    gif.abort();
+    gif.freeWorkers.forEach(worker => worker.terminate());
+    gif.freeWorkers = [];
+  };
+
+  return {
+    addFrame: async (canvas) => {
+      gif.addFrame(canvas, { copy: true, delay: 1000 / fps });
+    },
+    finish: (onProgress) => new Promise((resolve, reject) => {
+      gif.on('progress', progress => onProgress?.(progress));
+      gif.on('finished', (blob) => {
+        resolve(blob);
+        terminateWorkers();
+      });
+      gif.on('abort', () => reject(new DOMException('GIF encoding was cancelled', 'AbortError')));
+      gif.render();
+      [...gif.freeWorkers, ...gif.activeWorkers].forEach((worker) => {
+        worker.onerror = (event) => {
+          reject(new Error(`GIF worker failed: ${event.message ?? 'could not load the worker script'}`));
+          terminateWorkers();
+        };
+      });
+    }),
+    cancel: terminateWorkers,
+  };
+};
+
+export const createAnimationEncoder = (format, { fps = 24, loop = true } = {}) => {
+  if (format === 'apng') return createApngEncoder({ fps, loop });
+  if (format === 'webp') return createWebpEncoder({ fps, loop });
+  if (format === 'gif') return createGifEncoder({ fps, loop });
+  throw new Error(`Unknown animation format: ${format}`);
+};
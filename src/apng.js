@@ -0,0 +1,124 @@
+import { canvasToBlob } from './helpers';
+
+// --- Animated PNG Encoder ---
+// Each frame is encoded by the browser's own PNG encoder (`canvas.toBlob`),
+// then its image data is rewrapped as an APNG frame: the first frame keeps
+// its IDAT chunks, later ones become fdAT chunks. Alpha is kept at full 8 bits.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Splits a PNG file into `[{ type, data }]`.
+const readChunks = (buffer) => {
+  const view = new DataView(buffer);
+  const chunks = [];
+  for (let offset = PNG_SIGNATURE.length; offset < buffer.byteLength;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...new Uint8Array(buffer, offset + 4, 4));
+    chunks.push({ type, data: new Uint8Array(buffer, offset + 8, length) });
+    offset += length + 12;
+  }
+  return chunks;
+};
+
+const createChunk = (type, data) => {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+};
+
+// Big-endian fields for acTL/fcTL: [value, byteLength].
+const packFields = (fields) => {
+  const data = new Uint8Array(fields.reduce((sum, [, size]) => sum + size, 0));
+  const view = new DataView(data.buffer);
+  let offset = 0;
+  fields.forEach(([value, size]) => {
+    if (size === 4) view.setUint32(offset, value);
+    else if (size === 2) view.setUint16(offset, value);
+    else view.setUint8(offset, value);
+    offset += size;
+  });
+  return data;
+};
+
+// Returns `{ addFrame, finish, cancel }`: call `addFrame(canvas)` after
+// drawing each frame and `finish()` for the file as a Blob. Every frame lasts
+// 1/fps seconds; `loop: false` plays the animation once.
+export const createApngEncoder = ({ fps = 24, loop = true } = {}) => {
+  const frames = [];
+  let header = null;
+  let colorChunks = []; // sRGB, gAMA, iCCP etc. of the first frame
+
+  return {
+    addFrame: async (canvas) => {
+      const blob = await canvasToBlob(canvas, 'image/png');
+      const chunks = readChunks(await blob.arrayBuffer());
+      const ihdr = chunks.find(chunk => chunk.type === 'IHDR').data;
+      if (!header) {
+        header = ihdr;
+        const firstIdat = chunks.findIndex(chunk => chunk.type === 'IDAT');
+        colorChunks = chunks.slice(0, firstIdat).filter(chunk => chunk.type !== 'IHDR');
+      } else if (ihdr.some((byte, i) => byte !== header[i])) {
+        throw new Error('APNG frames must share the same size and pixel format');
+      }
+      frames.push(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+    },
+    finish: () => {
+      if (!header) throw new Error('No frames were added');
+      const view = new DataView(header.buffer, header.byteOffset);
+      const width = view.getUint32(0);
+      const height = view.getUint32(4);
+      let sequence = 0;
+
+      const parts = [
+        new Uint8Array(PNG_SIGNATURE),
+        createChunk('IHDR', header),
+        createChunk('acTL', packFields([[frames.length, 4], [loop ? 0 : 1, 4]])),
+        ...colorChunks.map(chunk => createChunk(chunk.type, chunk.data)),
+      ];
+      frames.forEach((idats, index) => {
+        parts.push(createChunk('fcTL', packFields([
+          [sequence++, 4],
+          [width, 4],
+          [height, 4],
+          [0, 4], // x offset
+          [0, 4], // y offset
+          [1, 2], // delay numerator
+          [fps, 2], // delay denominator
+          [0, 1], // dispose: none
+          [0, 1], // blend: source, so transparent pixels replace the last frame
+        ])));
+        idats.forEach((data) => {
+          if (index === 0) {
+            parts.push(createChunk('IDAT', data));
+          } else {
+            const fdat = new Uint8Array(data.length + 4);
+            new DataView(fdat.buffer).setUint32(0, sequence++);
+            fdat.set(data, 4);
+            parts.push(createChunk('fdAT', fdat));
+          }
+        });
+      });
+      parts.push(createChunk('IEND', new Uint8Array(0)));
+      return new Blob(parts, { type: 'image/png' });
+    },
+    cancel: () => {
+      frames.length = 0;
+    },
+  };
+};
@@ -0,0 +1,80 @@
+import { parseColor, toCssColor } from './color';
+
+// --- Backgrounds ---
+// Sources paint the background into their own canvas, so the shader pipeline
+// distorts it along with the content. `bgOpacity` scales the alpha of every
+// background color; 'background' transparency leaves the canvas clear.
+
+export const BACKGROUND_PARAMS = [
+  { key: 'bgOpacity', label: 'Opacity', min: 0, max: 1, step: 0.01 },
+  {
+    key: 'bgGradient',
+    label: 'Fill',
+    type: 'select',
+    options: [
+      { value: 'none', label: 'Solid' },
+      { value: 'linear', label: 'Linear Gradient' },
+      { value: 'radial', label: 'Radial Gradient' },
+    ],
+  },
+  { key: 'bgGradientColor', label: 'Gradient Color', type: 'color' },
+  { key: 'bgGradientAngle', label: 'Gradient Angle', min: 0, max: 360, step: 1 },
+];
+
+// A gradient line through the center at `angle` degrees, measured like CSS
+// linear-gradient(): 0 points up, 90 right. It is long enough for the corners
+// to reach the end colors.
+const createLinearGradient = (ctx, width, height, angle) => {
+  const radians = (angle * Math.PI) / 180;
+  const dx = Math.sin(radians);
+  const dy = -Math.cos(radians);
+  const halfLength = Math.abs((width / 2) * dx) + Math.abs((height / 2) * dy);
+  return ctx.createLinearGradient(
+    width / 2 - dx * halfLength, height / 2 - dy * halfLength,
+    width / 2 + dx * halfLength, height / 2 + dy * halfLength,
+  );
+};
+
+// Replaces the contents of `canvas` with the background.
+export const drawBackground = (canvas, {
+  bgColor,
+  bgOpacity = 1,
+  bgGradient = 'none',
+  bgGradientColor = bgColor,
+  bgGradientAngle = 180,
+  transparencyMode,
+}) => {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  if (transparencyMode === 'background') return;
+
+  // Colors that do not parse paint black, as the WebGL clear color does
+  const toFill = color => toCssColor(parseColor(color) ? color : '#000000', bgOpacity);
+  let fill = toFill(bgColor);
+  if (bgGradient === 'linear' || bgGradient === 'radial') {
+    fill = bgGradient === 'linear'
+      ? createLinearGradient(ctx, width, height, bgGradientAngle)
+      : ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+    fill.addColorStop(0, toFill(bgColor));
+    fill.addColorStop(1, toFill(bgGradientColor));
+  }
+  ctx.fillStyle = fill;
+  ctx.fillRect(0, 0, width, height);
+};
+
+// The color the WebGL canvas is cleared to, matching drawBackground's solid
+// fill (straight alpha).
+export const getClearColor = ({ bgColor, bgOpacity = 1, transparencyMode }) => {
+  if (transparencyMode === 'background') return { r: 0, g: 0, b: 0, a: 0 };
+  const color = parseColor(bgColor) ?? { r: 0, g: 0, b: 0, a: 1 };
+  return { ...color, a: color.a * Math.min(1, Math.max(0, bgOpacity)) };
+};
+
+// Whether frames can have transparent pixels, i.e. exports need an alpha
+// channel.
+export const hasTransparency = ({ transparencyMode, bgColor, bgOpacity = 1, bgGradient, bgGradientColor }) => {
+  if (transparencyMode !== 'normal' || bgOpacity < 1) return true;
+  const colors = bgGradient === 'linear' || bgGradient === 'radial' ? [bgColor, bgGradientColor] : [bgColor];
+  return colors.some(color => (parseColor(color)?.a ?? 1) < 1);
+};
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { formatColor, isColor, mixColors, parseColor, toCssColor, toHexColor } from './color';
+import { hexToRgb } from './helpers';
+
+describe('parseColor', () => {
+  it('reads every hex length', () => {
+    expect(parseColor('#f80')).toEqual({ r: 1, g: 0x88 / 255, b: 0, a: 1 });
+    expect(parseColor('#f808')).toEqual({ r: 1, g: 0x88 / 255, b: 0, a: 0x88 / 255 });
+    expect(parseColor('#ff8800')).toEqual({ r: 1, g: 0x88 / 255, b: 0, a: 1 });
+    expect(parseColor('#FF880080')).toEqual({ r: 1, g: 0x88 / 255, b: 0, a: 0x80 / 255 });
+  });
+
+  it('reads rgb() and hsl() in comma and space syntax', () => {
+    expect(parseColor('rgb(255, 0, 0)')).toEqual({ r: 1, g: 0, b: 0, a: 1 });
+    expect(parseColor('rgba(255, 0, 0, 0.5)')).toEqual({ r: 1, g: 0, b: 0, a: 0.5 });
+    expect(parseColor('rgb(255 0 0 / 50%)')).toEqual({ r: 1, g: 0, b: 0, a: 0.5 });
+    expect(parseColor('hsl(120, 100%, 50%)')).toEqual({ r: 0, g: 1, b: 0, a: 1 });
+  });
+
+  it('reads named colors and transparent', () => {
+    expect(parseColor('rebeccapurple')).toEqual({ r: 0.4, g: 0.2, b: 0.6, a: 1 });
+    expect(parseColor('transparent')).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+  });
+
+  it('returns null for anything else', () => {
+    ['', 'nope', '#12', '#12345', 'ff8800', 'rgb(1, 2)', 'hsl(x, 1%, 1%)'].forEach((value) => {
+      expect(parseColor(value)).toBeNull();
+      expect(isColor(value)).toBe(false);
+    });
+    expect(parseColor(42)).toBeNull();
+    expect(parseColor(undefined)).toBeNull();
+  });
+});
+
+describe('hexToRgb', () => {
+  it('reads 3- and 6-digit hex, with or without #', () => {
+    expect(hexToRgb('#fff')).toEqual({ r: 1, g: 1, b: 1 });
+    expect(hexToRgb('0f0')).toEqual({ r: 0, g: 1, b: 0 });
+    expect(hexToRgb('#00ff00')).toEqual({ r: 0, g: 1, b: 0 });
+  });
+
+  it('drops alpha', () => {
+    expect(hexToRgb('#ff000080')).toEqual({ r: 1, g: 0, b: 0 });
+    expect(hexToRgb('#ff08')).toEqual({ r: 1, g: 1, b: 0 });
+  });
+
+  it('returns null for invalid input', () => {
+    expect(hexToRgb('zz')).toBeNull();
+    expect(hexToRgb('')).toBeNull();
+    expect(hexToRgb('#ff0000ff00')).toBeNull();
+  });
+});
+
+describe('formatting and mixing', () => {
+  it('formats hex with alpha only when translucent', () => {
+    expect(formatColor({ r: 1, g: 0.5, b: 0, a: 1 })).toBe('#ff8000');
+    expect(formatColor({ r: 1, g: 0.5, b: 0, a: 0.5 })).toBe('#ff800080');
+  });
+
+  it('gives color inputs a hex value, black when invalid', () => {
+    expect(toHexColor('red')).toBe('#ff0000');
+    expect(toHexColor('nope')).toBe('#000000');
+  });
+
+  it('applies opacity to CSS colors and leaves invalid ones alone', () => {
+    expect(toCssColor('#ff0000', 0.5)).toBe('rgba(255, 0, 0, 0.5)');
+    expect(toCssColor('nope', 0.5)).toBe('nope');
+  });
+
+  it('mixes in straight RGBA', () => {
+    expect(mixColors('#000000', '#ffffff', 0.5)).toBe('#808080');
+    expect(mixColors('#000000', 'nope', 0.5)).toBeNull();
+  });
+});
@@ -0,0 +1,19 @@
+// --- Core Entry ---
+// The framework-agnostic part of the package, importable without React or a
+// DOM (e.g. by the barrel-render CLI): the renderers, passes, text layout,
+// colors and backgrounds, timeline, typing animation and preset validation.
+export { default as BarrelRenderer, compileShader } from './BarrelRenderer';
+export { default as Canvas2DRenderer } from './Canvas2DRenderer';
+export { createRenderer } from './createRenderer';
+export { RendererError, isRendererError } from './rendering';
+export { DEFAULT_SETTINGS, OUTPUT_SIZE_PRESETS } from './defaultSettings';
+export { vsSource, fsHeader, buildFragmentSource } from './shaders';
+export { BUILT_IN_PASSES, DEFAULT_PASSES, LENS_UNIFORMS, registerPass, getPass, getRegisteredPasses, getPassDefaults } from './passes';
+export { getFontString, getBoldWeight } from './fonts';
+export { hexToRgb, REFERENCE_SIZE, getResolutionScale } from './helpers';
+export { NAMED_COLORS, parseColor, isColor, formatColor, toHexColor, toCssColor, mixColors } from './color';
+export { BACKGROUND_PARAMS, drawBackground, getClearColor, hasTransparency } from './background';
+export { TEXT_STYLE_PARAMS, parseMarkup, getPlainText, breakLines, drawText } from './textLayout';
+export { DEFAULT_TIMELINE, EASINGS, getAnimatableParams, hasKeyframes, evaluateTrack, evaluateTimeline } from './timeline';
+export { getRevealPoints, createTypingSchedule, getTypingState } from './typewriter';
+export { PRESET_VERSION, validateSettings, createPreset, parsePreset, getBuiltInPresets } from './presets';
@@ -0,0 +1,314 @@
+// --- CPU Passes ---
+// JavaScript ports of the built-in passes for Canvas2DRenderer, which runs
+// where WebGL is unavailable. Each port mirrors the pass's GLSL line by line:
+// given the pass's shader context it returns `effect(u, v, out)`, which
+// writes the premultiplied RGBA of the output pixel at (u, v) into `out`.
+//
+// The shader context holds the resolved uniforms (`uniforms`, from
+// LENS_UNIFORMS and the pass's own `uniforms`, plus the values of the step
+// being run, as BarrelRenderer sets them), `time`, `texelSize`, `pixelSize`,
+// `aspect`, the fsHeader helpers `random`, `lensMap` and
+// `inBounds`, and `input.sample(u, v, out)`, which reads the previous pass
+// like texture2D: bilinear, with clamped edges. Custom passes have no port
+// and are left out of the CPU pipeline.
+
+const fract = x => x - Math.floor(x);
+const mod = (x, y) => x - y * Math.floor(x / y);
+const clamp = (x, min, max) => Math.min(max, Math.max(min, x));
+const smoothstep = (edge0, edge1, x) => {
+  const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
+  return t * t * (3 - 2 * t);
+};
+
+// `random(st)` of fsHeader
+export const createRandom = seed => (x, y) =>
+  fract(Math.sin((x + seed) * 12.9898 + (y + seed) * 78.233) * 43758.5453123);
+
+// `lensMap(uv)` of fsHeader: writes the source coordinate shown at (u, v)
+// into `out`, or (-1, -1) behind a fisheye lens.
+export const createLensMap = (uniforms, aspect) => {
+  const { uLensModel, uDistortion, uK2, uK3, uTangential, uLensStrength, uLensCenter, uFisheyeFocal, uZoom } = uniforms;
+  const [p1, p2] = uTangential;
+  return (u, v, out) => {
+    // Work in square units so the distortion stays circular
+    const px = (u - uLensCenter[0]) * uZoom * aspect[0];
+    const py = (v - uLensCenter[1]) * uZoom * aspect[1];
+    const r2 = px * px + py * py;
+    let dx;
+    let dy;
+
+    if (uLensModel < 0.5) {
+      // Radial k1/k2/k3 plus tangential p1/p2 terms
+      const radial = 1 + uDistortion * r2 + uK2 * r2 * r2 + uK3 * r2 * r2 * r2;
+      dx = px * radial + 2 * p1 * px * py + p2 * (r2 + 2 * px * px);
+      dy = py * radial + p1 * (r2 + 2 * py * py) + 2 * p2 * px * py;
+    } else {
+      // Fisheye: find the ray angle for this radius, then where a
+      // rectilinear source would show that ray
+      const r = Math.sqrt(r2);
+      const theta = uLensModel < 1.5 ? r / uFisheyeFocal : 2 * Math.atan(r / (2 * uFisheyeFocal));
+      if (theta >= 1.5707) {
+        out[0] = -1;
+        out[1] = -1;
+        return; // Behind the lens
+      }
+      const scale = r > 0 ? (uFisheyeFocal * Math.tan(theta)) / r : 1;
+      dx = px * scale;
+      dy = py * scale;
+    }
+
+    dx = px + (dx - px) * uLensStrength[0];
+    dy = py + (dy - py) * uLensStrength[1];
+    out[0] = dx / aspect[0] / uZoom + uLensCenter[0];
+    out[1] = dy / aspect[1] / uZoom + uLensCenter[1];
+  };
+};
+
+export const inBounds = (u, v) => u >= 0 && u <= 1 && v >= 0 && v <= 1;
+
+// Sums four texels weighted for bilinear filtering into `out`.
+const sampleInto = (data, width, height, u, v, out) => {
+  const x = u * width - 0.5;
+  const y = v * height - 0.5;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const left = clamp(x0, 0, width - 1);
+  const right = clamp(x0 + 1, 0, width - 1);
+  const top = clamp(y0, 0, height - 1) * width;
+  const bottom = clamp(y0 + 1, 0, height - 1) * width;
+  for (let c = 0; c < 4; c++) {
+    const upper = data[(top + left) * 4 + c] * (1 - fx) + data[(top + right) * 4 + c] * fx;
+    const lower = data[(bottom + left) * 4 + c] * (1 - fx) + data[(bottom + right) * 4 + c] * fx;
+    out[c] = upper * (1 - fy) + lower * fy;
+  }
+};
+
+// A premultiplied RGBA float image that passes read and write.
+export const createImage = (width, height, data = new Float32Array(width * height * 4)) => ({
+  width,
+  height,
+  data,
+  sample: (u, v, out) => {
+    if (Number.isNaN(u) || Number.isNaN(v)) {
+      out.fill(0);
+      return;
+    }
+    sampleInto(data, width, height, u, v, out);
+  },
+});
+
+const PHOSPHOR_CHANNELS = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+export const CPU_EFFECTS = {
+  glitch: ({ uniforms, time, random, input }) => (u, v, out) => {
+    // Check if this line should glitch based on time and y-coord
+    let x = u;
+    if (random(Math.floor(time * 15), Math.floor(v * 20)) < uniforms.uGlitchIntensity * 0.2) {
+      x += (random(time * 30, v * 10) - 0.5) * 0.1;
+    }
+    input.sample(x, v, out);
+  },
+
+  blur: ({ uniforms, texelSize, input }) => {
+    // 33 taps over ±3 standard deviations, along one axis per step
+    const spacing = uniforms.uBlurRadius * (3 / 16);
+    const stepX = uniforms.uBlurDirection[0] * texelSize[0] * spacing;
+    const stepY = uniforms.uBlurDirection[1] * texelSize[1] * spacing;
+    const weights = [];
+    for (let i = -16; i <= 16; i++) weights.push(Math.exp(-i * i * (9 / 512)));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const tap = new Float32Array(4);
+    return (u, v, out) => {
+      out.fill(0);
+      for (let i = -16; i <= 16; i++) {
+        const weight = weights[i + 16] / total;
+        input.sample(u + i * stepX, v + i * stepY, tap);
+        for (let c = 0; c < 4; c++) out[c] += tap[c] * weight;
+      }
+    };
+  },
+
+  scanlines: ({ uniforms, time, input }) => (u, v, out) => {
+    input.sample(u, v, out);
+    const scanline = Math.sin((v + time * 0.02) * uniforms.uScanlineFrequency) * uniforms.uScanlineIntensity;
+    out[0] -= scanline;
+    out[1] -= scanline;
+    out[2] -= scanline;
+  },
+
+  barrel: ({ uniforms, pixelSize, lensMap, input }) => {
+    const center = [0, 0];
+    const alongX = [0, 0];
+    const alongY = [0, 0];
+    const tap = new Float32Array(4);
+    // Rotated-grid offsets over the pixel's footprint
+    const taps = [[-0.125, -0.375], [0.375, -0.125], [0.125, 0.375], [-0.375, 0.125]];
+    return (u, v, out) => {
+      lensMap(u, v, center);
+      if (uniforms.uFootprintSampling < 0.5) {
+        input.sample(center[0], center[1], out);
+        return;
+      }
+      lensMap(u + pixelSize[0], v, alongX);
+      lensMap(u, v + pixelSize[1], alongY);
+      if (Math.min(center[0], alongX[0], alongY[0]) < -0.5) {
+        input.sample(center[0], center[1], out); // Next to the fisheye rim
+        return;
+      }
+      const dx = [alongX[0] - center[0], alongX[1] - center[1]];
+      const dy = [alongY[0] - center[0], alongY[1] - center[1]];
+      out.fill(0);
+      taps.forEach(([a, b]) => {
+        input.sample(center[0] + dx[0] * a + dy[0] * b, center[1] + dx[1] * a + dy[1] * b, tap);
+        for (let c = 0; c < 4; c++) out[c] += tap[c] * 0.25;
+      });
+    };
+  },
+
+  chromaticAberration: ({ uniforms, aspect, input }) => {
+    const tap = new Float32Array(4);
+    return (u, v, out) => {
+      // Red and blue drift apart more the further a pixel is from the center
+      const fromX = u - 0.5;
+      const fromY = v - 0.5;
+      const length = Math.hypot(fromX * aspect[0], fromY * aspect[1]);
+      const offsetX = fromX * length * uniforms.uAberration * 0.05;
+      const offsetY = fromY * length * uniforms.uAberration * 0.05;
+      input.sample(u, v, out);
+      input.sample(u + offsetX, v + offsetY, tap);
+      out[0] = tap[0];
+      input.sample(u - offsetX, v - offsetY, tap);
+      out[2] = tap[2];
+    };
+  },
+
+  bloom: ({ uniforms, input }) => {
+    const { uBloomIntensity, uBloomThreshold, uBloomStep } = uniforms;
+    const tap = new Float32Array(4);
+    const glow = [0, 0, 0];
+    const addBrightPart = (u, v, weight) => {
+      input.sample(u, v, tap);
+      for (let c = 0; c < 3; c++) glow[c] += Math.max(tap[c] - uBloomThreshold, 0) * weight;
+    };
+    return (u, v, out) => {
+      input.sample(u, v, out);
+      glow.fill(0);
+      // Two rings of eight taps around the pixel
+      for (let i = 0; i < 8; i++) {
+        const angle = i * 0.785398;
+        const dx = Math.cos(angle) * uBloomStep[0];
+        const dy = Math.sin(angle) * uBloomStep[1];
+        addBrightPart(u + dx, v + dy, 0.6);
+        addBrightPart(u + dx * 2, v + dy * 2, 0.4);
+      }
+      for (let c = 0; c < 3; c++) out[c] += (glow[c] / 8) * uBloomIntensity;
+    };
+  },
+
+  phosphorMask: ({ uniforms, texelSize, input }) => {
+    const { uMaskType, uMaskIntensity, uMaskSize } = uniforms;
+    return (u, v, out) => {
+      input.sample(u, v, out);
+      // Work in output pixels so preview and export show the same pattern
+      const cellX = Math.floor(u / texelSize[0] / uMaskSize);
+      const cellY = Math.floor(v / texelSize[1] / uMaskSize);
+      let mask;
+      let gap = 0;
+      if (uMaskType < 0.5) {
+        // Aperture grille: continuous vertical RGB stripes
+        mask = PHOSPHOR_CHANNELS[mod(cellX, 3)];
+      } else if (uMaskType < 1.5) {
+        // Shadow mask: triads shifted on every other row
+        mask = PHOSPHOR_CHANNELS[mod(Math.floor(cellX + mod(cellY, 2) * 1.5), 3)];
+      } else {
+        // Slot mask: stripes broken into slots, staggered per triad
+        const triad = Math.floor(cellX / 3);
+        gap = mod(cellY + mod(triad, 2) * 2, 4) >= 2.5 ? 1 : 0;
+        mask = PHOSPHOR_CHANNELS[mod(cellX, 3)];
+      }
+      // Boost the lit channel so the mask darkens less than it tints
+      for (let c = 0; c < 3; c++) {
+        out[c] *= 1 + ((mask[c] * (1 - gap)) * 2 + 0.25 - 1) * uMaskIntensity;
+      }
+    };
+  },
+
+  vignette: ({ uniforms, aspect, input }) => (u, v, out) => {
+    input.sample(u, v, out);
+    const dist = Math.hypot((u - 0.5) * aspect[0], (v - 0.5) * aspect[1]);
+    const shade = smoothstep(uniforms.uVignetteSize, uniforms.uVignetteSize + 0.5, dist);
+    const factor = 1 - shade * uniforms.uVignetteIntensity;
+    out[0] *= factor;
+    out[1] *= factor;
+    out[2] *= factor;
+  },
+
+  interference: ({ uniforms, time, random, input }) => {
+    const { uFlicker, uRollingBar, uRollingBarSpeed } = uniforms;
+    // Whole-frame brightness jitter at roughly mains frequency
+    const flicker = 1 - random(Math.floor(time * 60), 0) * uFlicker * 0.3;
+    const barPosition = fract(time * uRollingBarSpeed);
+    return (u, v, out) => {
+      input.sample(u, v, out);
+      // A soft dark band crawling down the screen
+      const barDistance = Math.abs(fract(v - barPosition + 0.5) - 0.5);
+      const bar = 1 - smoothstep(0, 0.15, barDistance);
+      const factor = flicker * (1 - bar * uRollingBar * 0.4);
+      out[0] *= factor;
+      out[1] *= factor;
+      out[2] *= factor;
+    };
+  },
+
+  noise: ({ uniforms, time, random, lensMap, input }) => {
+    const coord = [0, 0];
+    return (u, v, out) => {
+      input.sample(u, v, out);
+      // Leave pixels the lens pulled from outside the source untouched
+      lensMap(u, v, coord);
+      if (inBounds(coord[0], coord[1])) {
+        const noise = (random(u + time * 25, v + time * 25) - 0.5) * uniforms.uNoiseAmount;
+        out[0] += noise;
+        out[1] += noise;
+        out[2] += noise;
+      }
+    };
+  },
+
+  bezel: ({ uniforms, aspect, lensMap, input }) => {
+    const { uBezelRadius, uBezelColor, uBezelAlpha } = uniforms;
+    const bezel = [uBezelColor[0] * uBezelAlpha, uBezelColor[1] * uBezelAlpha, uBezelColor[2] * uBezelAlpha, uBezelAlpha];
+    const coord = [0, 0];
+    return (u, v, out) => {
+      input.sample(u, v, out);
+      // Mask in source space, so the rounded screen edge bends with the lens
+      lensMap(u, v, coord);
+      const cornerX = Math.abs(coord[0] - 0.5) * aspect[0] - (0.5 * aspect[0] - uBezelRadius);
+      const cornerY = Math.abs(coord[1] - 0.5) * aspect[1] - (0.5 * aspect[1] - uBezelRadius);
+      const outside = Math.hypot(Math.max(cornerX, 0), Math.max(cornerY, 0)) +
+        Math.min(Math.max(cornerX, cornerY), 0) - uBezelRadius;
+      const edge = smoothstep(-0.004, 0.004, outside);
+      for (let c = 0; c < 4; c++) out[c] += (bezel[c] - out[c]) * edge;
+    };
+  },
+
+  copy: ({ input }) => (u, v, out) => input.sample(u, v, out),
+
+  downsample: ({ uniforms, pixelSize, input }) => {
+    const { uFactor } = uniforms;
+    const tap = new Float32Array(4);
+    return (u, v, out) => {
+      out.fill(0);
+      for (let x = 0; x < uFactor; x++) {
+        for (let y = 0; y < uFactor; y++) {
+          const offsetX = (x - (uFactor - 1) * 0.5) * pixelSize[0];
+          const offsetY = (y - (uFactor - 1) * 0.5) * pixelSize[1];
+          input.sample(u + offsetX, v + offsetY, tap);
+          for (let c = 0; c < 4; c++) out[c] += tap[c] / (uFactor * uFactor);
+        }
+      }
+    };
+  },
+};
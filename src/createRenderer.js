@@ -0,0 +1,24 @@
+import BarrelRenderer from './BarrelRenderer';
+import Canvas2DRenderer from './Canvas2DRenderer';
+import { RendererError } from './rendering';
+
+// --- Renderer Selection ---
+// Creates a BarrelRenderer (WebGL2, else WebGL1) on `canvas`, or, where WebGL
+// is unavailable, a Canvas2DRenderer. The fallback is reported to `onError`
+// with the 'unavailable' RendererError, so the page can say why it is slow.
+// Throws a RendererError with code 'unsupported' if neither works. `options`
+// are passed to the renderer (`onError`, `onContextRestored`).
+export const createRenderer = (canvas, options = {}) => {
+  try {
+    return new BarrelRenderer(canvas, options);
+  } catch (error) {
+    if (error?.code !== 'unavailable') throw error;
+    const renderer = new Canvas2DRenderer(canvas, options);
+    (options.onError ?? console.warn)(new RendererError(
+      'unavailable',
+      'WebGL is not available, so effects are rendered on the CPU. Previews and exports will be slower.',
+      { cause: error },
+    ));
+    return renderer;
+  }
+};
@@ -0,0 +1,77 @@
+import { BUILT_IN_PASSES, DEFAULT_PASSES, getPassDefaults } from './passes';
+import { DEFAULT_TIMELINE } from './timeline';
+
+// --- Default Settings ---
+// The single source of truth for every setting. Both the canvas and the
+// controls panel read from objects of this shape, and Reset restores it.
+// Effect parameter defaults come from the pass schemas in passes.js.
+export const DEFAULT_SETTINGS = Object.freeze({
+  width: 512, // output size in pixels
+  height: 512,
+  text: "BUT AT\nLEAST\nYOU'LL",
+  fontSize: 80,
+  fontFamily: 'Times New Roman', // any installed or uploaded family (see fonts.js)
+  fontWeight: 700, // 100, 200 ... 900
+  fontItalic: false,
+  letterSpacing: 0, // extra space between characters, scaled like fontSize
+  lineSpacing: 1.2,
+  fontColor: '#FFFFFF', // colors are any CSS color (see color.js)
+  bgColor: '#000000',
+  transparencyMode: 'normal',
+  // Background fill (see background.js)
+  bgOpacity: 1,
+  bgGradient: 'none', // 'none' | 'linear' | 'radial' from bgColor to bgGradientColor
+  bgGradientColor: '#1A1A40',
+  bgGradientAngle: 180, // degrees, as in CSS: 0 bottom to top, 180 top to bottom
+  // Text layout and styling (see textLayout.js); sizes scale like fontSize
+  textAlign: 'center', // 'left' | 'center' | 'right' | 'justify'
+  textPadding: 5, // % of the width kept clear on each side
+  textStrokeWidth: 0, // outline width, 0 for none
+  textStrokeColor: '#000000',
+  textGradient: 'none', // fill: 'none' | 'vertical' | 'horizontal' from fontColor to textGradientColor
+  textGradientColor: '#FF00FF',
+  textShadowColor: '#000000',
+  textShadowOpacity: 0.5,
+  textShadowBlur: 4,
+  textShadowOffsetX: 2,
+  textShadowOffsetY: 2,
+  // Effect pipeline: ordered passes, then each pass's parameters
+  // (distortion, zoom, blurAmount, glitchIntensity, noise, scanlineIntensity)
+  passes: DEFAULT_PASSES,
+  ...getPassDefaults(BUILT_IN_PASSES),
+  seed: 0, // varies the noise, glitch and typing jitter patterns reproducibly
+  mediaFit: 'contain', // how image/video sources fill the output: 'contain' | 'cover'
+  // Typing animation (see typewriter.js)
+  enableTypingAnimation: false,
+  typingUnit: 'word', // revealed per step: 'character' | 'word' | 'line'
+  typingFrameDuration: 500, // ms per step
+  typingJitter: 0, // 0..1 random variation of each step
+  typingEndPause: 1500, // ms pause on full text
+  typingDeleteMode: 'none', // after the pause: 'none' | 'backspace' | 'clear'
+  typingCursor: 'none', // 'none' | 'block' | 'underscore'
+  typingLoop: true,
+  timeline: DEFAULT_TIMELINE, // clip length, frame rate and keyframes (see timeline.js)
+  animationFormat: 'gif', // 'gif' | 'apng' | 'webp'
+  zipFrames: true, // bundle PNG frame sequences in one ZIP
+  videoFormat: 'webm', // 'webm' | 'mp4'
+  videoBitrate: 8, // Mbit/s
+  // Sampling quality (see rendering.js): the live preview stays 'fast' by
+  // default, exports always render in 'high' quality
+  previewQuality: 'fast', // 'fast' | 'high'
+  exportSupersampling: 2, // exports render at 1–4× the output size per axis, then average down
+});
+
+// Output sizes the controls and presets accept, in pixels per side.
+export const OUTPUT_SIZE_RANGE = Object.freeze({ min: 16, max: 4096 });
+
+// Seeds the controls and presets accept.
+export const SEED_RANGE = Object.freeze({ min: 0, max: 99999 });
+
+// Common output formats offered by the controls panel.
+export const OUTPUT_SIZE_PRESETS = [
+  { label: 'Square 512', width: 512, height: 512 },
+  { label: 'Square 1080', width: 1080, height: 1080 },
+  { label: 'Story 1080×1920', width: 1080, height: 1920 },
+  { label: 'Banner 1920×1080', width: 1920, height: 1080 },
+  { label: '4K 3840×2160', width: 3840, height: 2160 },
+];
@@ -0,0 +1,27 @@
+// --- Export Jobs ---
+// Exports render their frames in slices of about FRAME_BUDGET milliseconds
+// and hand the main thread back between slices, so the page keeps painting
+// progress and reacting to Cancel. Cancelling aborts the job's AbortSignal;
+// the pending step then rejects with the signal's AbortError.
+
+const FRAME_BUDGET = 30;
+
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Calls `renderFrame(index)` (which may be async) for every frame, reporting
+// `onProgress(0..1)` after each.
+export const renderFrames = async (numFrames, renderFrame, { signal, onProgress } = {}) => {
+  let sliceStart = performance.now();
+  for (let i = 0; i < numFrames; i++) {
+    signal?.throwIfAborted();
+    await renderFrame(i);
+    onProgress?.((i + 1) / numFrames);
+    if (performance.now() - sliceStart > FRAME_BUDGET) {
+      await yieldToBrowser();
+      sliceStart = performance.now();
+    }
+  }
+  signal?.throwIfAborted();
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
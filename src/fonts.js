@@ -0,0 +1,69 @@
+// --- Fonts ---
+// The text is drawn with a CSS font built from the font settings. Fonts the
+// user uploads are registered with the FontFace API under a family name
+// derived from the file name; like system fonts, they are only available in
+// this browser, so presets and links store the family name alone.
+
+// Families offered in the controls; any installed family name also works
+export const FONT_FAMILIES = [
+  'Times New Roman',
+  'Georgia',
+  'Arial',
+  'Helvetica',
+  'Verdana',
+  'Trebuchet MS',
+  'Courier New',
+  'Impact',
+  'serif',
+  'sans-serif',
+  'monospace',
+];
+
+const GENERIC_FAMILIES = new Set(['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui']);
+
+export const FONT_FILE_TYPES = '.ttf,.otf,.woff,.woff2';
+
+// CSS font shorthand; `fontSize` in pixels. Family names are quoted unless
+// generic, with quotes and backslashes removed so no name breaks the syntax.
+export const getFontString = ({ fontFamily, fontWeight, fontItalic, fontSize }) => {
+  const family = String(fontFamily).replace(/["\\]/g, '');
+  const quotedFamily = GENERIC_FAMILIES.has(family) ? family : `"${family}"`;
+  return `${fontItalic ? 'italic ' : ''}${fontWeight} ${fontSize}px ${quotedFamily}, serif`;
+};
+
+// Weight of **bold** markup (see textLayout.js) over a base weight
+export const getBoldWeight = (fontWeight) => Math.min(900, Number(fontWeight) + 300);
+
+// Fonts needed to draw `text`: the base face, and the bold one when the
+// markup asks for it
+const getRequiredFonts = (settings, text) => {
+  const fonts = [getFontString({ ...settings, fontSize: 16 })];
+  if (text?.includes('**')) {
+    fonts.push(getFontString({ ...settings, fontWeight: getBoldWeight(settings.fontWeight), fontSize: 16 }));
+  }
+  return fonts;
+};
+
+// Resolves once the faces needed to draw `text` with the font settings are
+// loaded, so a frame is never drawn with a fallback face. Resolves as well
+// when loading fails; the browser then falls back anyway.
+export const loadFont = (settings, text) =>
+  Promise.all(getRequiredFonts(settings, text).map(font => document.fonts.load(font, text || undefined)))
+    .catch(error => console.error('Could not load font:', error));
+
+// Whether `text` can be drawn with the font settings right away
+export const isFontLoaded = (settings, text) =>
+  getRequiredFonts(settings, text).every(font => document.fonts.check(font, text || undefined));
+
+// Registers a .ttf/.otf/.woff/.woff2 file and resolves to its family name.
+// A file uploaded again replaces the earlier face of the same name.
+export const loadFontFile = async (file) => {
+  const family = file.name.replace(/\.[^.]+$/, '').replace(/["\\]/g, '').trim() || 'Custom Font';
+  const face = new FontFace(family, await file.arrayBuffer());
+  await face.load();
+  [...document.fonts]
+    .filter(existing => existing.family === family || existing.family === `"${family}"`)
+    .forEach(existing => document.fonts.delete(existing));
+  document.fonts.add(face);
+  return family;
+};
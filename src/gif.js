@@ -0,0 +1,29 @@
+import BundledGIF from 'gif.js';
+import bundledWorkerSource from 'gif.js/dist/gif.worker.js?raw';
+
+// --- GIF Encoder ---
+// gif.js and its worker ship inside the bundle, so consumers don't need to
+// copy anything into their public folder. Apps that already host gif.js can
+// inject their own constructor and worker URL with `configureGif`.
+let GIFConstructor = BundledGIF;
+let workerScriptUrl = null;
+
+export const configureGif = ({ GIF, workerScript } = {}) => {
+  if (GIF) GIFConstructor = GIF;
+  if (workerScript) workerScriptUrl = workerScript;
+};
+
+const getWorkerScriptUrl = () => {
+  if (!workerScriptUrl) {
+    const blob = new Blob([bundledWorkerSource], { type: 'application/javascript' });
+    workerScriptUrl = URL.createObjectURL(blob);
+  }
+  return workerScriptUrl;
+};
+
+export const createGif = (options = {}) => new GIFConstructor({
+  workers: 2,
+  quality: 10,
+  workerScript: getWorkerScriptUrl(),
+  ...options,
+});
@@ -0,0 +1,43 @@
+import { parseColor } from './color';
+
+// --- Helper Functions ---
+
+// Sizes such as font size and blur radius are expressed for a 512px square
+// and scaled by the shorter side of the actual output.
+export const REFERENCE_SIZE = 512;
+
+export const getResolutionScale = (width, height) => Math.min(width, height) / REFERENCE_SIZE;
+
+// Parses a color into 0..1 channels, or returns null. Kept for code written
+// against the hex-only version: the '#' of hex colors is still optional, and
+// anything parseColor (see color.js) accepts works. Alpha is dropped.
+export const hexToRgb = (hex) => {
+  const color = parseColor(/^[a-f\d]+$/i.test(hex) ? `#${hex}` : hex);
+  return color && { r: color.r, g: color.g, b: color.b };
+};
+
+export const wrapText = (context, text, maxWidth) => {
+  const words = text.split(' ');
+  const lines = [];
+  let currentLine = words[0] || '';
+  
+  for (let i = 1; i < words.length; i++) {
+    const word = words[i];
+    const width = context.measureText(currentLine + " " + word).width;
+    
+    if (width < maxWidth) {
+      currentLine += " " + word;
+    } else {
+      lines.push(currentLine);
+      currentLine = word;
+    }
+  }
+  
+  lines.push(currentLine);
+  return lines;
+};
+
+// Promise wrapper for `canvas.toBlob`; rejects when the canvas cannot be encoded.
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode the canvas as ${type}`))), type, quality);
+});
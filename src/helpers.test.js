@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { getResolutionScale, wrapText } from './helpers';
+
+// Every character is 10px wide
+const context = { measureText: text => ({ width: text.length * 10 }) };
+
+describe('wrapText', () => {
+  it('keeps words on a line while they fit', () => {
+    expect(wrapText(context, 'the quick brown fox', 100)).toEqual(['the quick', 'brown fox']);
+  });
+
+  it('gives a word wider than the line a line of its own', () => {
+    expect(wrapText(context, 'a extraordinarily b', 50)).toEqual(['a', 'extraordinarily', 'b']);
+  });
+
+  it('returns one empty line for empty text', () => {
+    expect(wrapText(context, '', 100)).toEqual(['']);
+  });
+});
+
+describe('getResolutionScale', () => {
+  it('scales by the shorter side', () => {
+    expect(getResolutionScale(512, 512)).toBe(1);
+    expect(getResolutionScale(1080, 1920)).toBeCloseTo(2.109375);
+  });
+});
@@ -0,0 +1,71 @@
+import { useCallback, useState } from 'react';
+
+// --- Undo History ---
+// Keeps past and future values around the present one. Changes to the same
+// keys in quick succession (a slider drag, typing in the text box) are
+// coalesced into one entry, so one undo takes back the whole gesture.
+
+const HISTORY_LIMIT = 100;
+const COALESCE_MS = 500;
+
+// Keys whose values differ between two settings objects, as one string
+const getChangedKeys = (previous, next) => Object.keys({ ...previous, ...next })
+  .filter(key => previous[key] !== next[key])
+  .sort()
+  .join(',');
+
+export const createHistory = (present) => ({ past: [], present, future: [], lastChange: null });
+
+// `history` with `next` as the present value. Returns `history` itself when
+// nothing changed.
+export const pushHistory = (history, next, time = performance.now()) => {
+  const keys = getChangedKeys(history.present, next);
+  if (!keys) return history;
+  const { lastChange } = history;
+  const coalesce = lastChange !== null && lastChange.keys === keys && time - lastChange.time < COALESCE_MS;
+  return {
+    past: coalesce ? history.past : [...history.past, history.present].slice(-HISTORY_LIMIT),
+    present: next,
+    future: [],
+    lastChange: { keys, time },
+  };
+};
+
+export const undoHistory = (history) => {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastChange: null,
+  };
+};
+
+export const redoHistory = (history) => {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastChange: null,
+  };
+};
+
+// useState with undo: returns `[value, setValue, { undo, redo, canUndo, canRedo }]`.
+// `setValue` takes a value or an updater function, like a state setter.
+export const useHistory = (initial) => {
+  const [history, setHistory] = useState(() => createHistory(typeof initial === 'function' ? initial() : initial));
+
+  const setValue = useCallback((next) => {
+    setHistory(current => pushHistory(current, typeof next === 'function' ? next(current.present) : next));
+  }, []);
+  const undo = useCallback(() => setHistory(undoHistory), []);
+  const redo = useCallback(() => setHistory(redoHistory), []);
+
+  return [history.present, setValue, {
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  }];
+};
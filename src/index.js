@@ -0,0 +1,51 @@
+// --- Package Entry ---
+export { default as BarrelDistortionText } from './BarrelDistortionText';
+export { default as BarrelDistortionCanvas } from './BarrelDistortionCanvas';
+export { default as BarrelDistortionControls } from './BarrelDistortionControls';
+export { default as BarrelDistortionTimeline } from './BarrelDistortionTimeline';
+export { default as BarrelDistortionPresets } from './BarrelDistortionPresets';
+export { default as BarrelRenderer, compileShader } from './BarrelRenderer';
+export { default as Canvas2DRenderer } from './Canvas2DRenderer';
+export { createRenderer } from './createRenderer';
+export { RendererError, isRendererError } from './rendering';
+export { DEFAULT_SETTINGS, OUTPUT_SIZE_PRESETS } from './defaultSettings';
+export { vsSource, fsHeader, buildFragmentSource } from './shaders';
+export { BUILT_IN_PASSES, DEFAULT_PASSES, LENS_UNIFORMS, registerPass, getPass, getRegisteredPasses, getPassDefaults } from './passes';
+export { FONT_FAMILIES, FONT_FILE_TYPES, getFontString, getBoldWeight, loadFont, isFontLoaded, loadFontFile } from './fonts';
+export { hexToRgb, wrapText, canvasToBlob, REFERENCE_SIZE, getResolutionScale } from './helpers';
+export { NAMED_COLORS, parseColor, isColor, formatColor, toHexColor, toCssColor, mixColors } from './color';
+export { BACKGROUND_PARAMS, drawBackground, getClearColor, hasTransparency } from './background';
+export { TEXT_STYLE_PARAMS, parseMarkup, getPlainText, breakLines, drawText } from './textLayout';
+export { configureGif, createGif } from './gif';
+export { ANIMATION_FORMATS, createAnimationEncoder } from './animation';
+export { createApngEncoder } from './apng';
+export { createWebpEncoder } from './webp';
+export { renderFrames, isAbortError } from './exportJob';
+export { VIDEO_FORMATS, isVideoFormatSupported, isVideoRealTime, createVideoEncoder } from './video';
+export { createTextSource, createMediaSource, drawMedia, loadMediaFile, openWebcam } from './sources';
+export {
+  DEFAULT_TIMELINE,
+  EASINGS,
+  getAnimatableParams,
+  hasKeyframes,
+  evaluateTrack,
+  evaluateTimeline,
+  setKeyframe,
+  updateKeyframe,
+  removeKeyframe,
+} from './timeline';
+export { createHistory, pushHistory, undoHistory, redoHistory, useHistory } from './history';
+export { getRevealPoints, createTypingSchedule, getTypingState } from './typewriter';
+export {
+  PRESET_VERSION,
+  validateSettings,
+  createPreset,
+  parsePreset,
+  getBuiltInPresets,
+  loadSavedPresets,
+  savePreset,
+  deletePreset,
+  loadSession,
+  saveSession,
+} from './presets';
+export { SHARE_LINK_VERSION, encodeSettings, decodeSettings, getShareUrl, hasSettingsHash, readSettingsFromHash } from './shareLink';
@@ -0,0 +1,172 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { describe, expect, it } from 'vitest';
+import BarrelRenderer from './BarrelRenderer';
+import { BUILT_IN_PASSES, DEFAULT_PASSES } from './passes';
+
+// --- Golden Images ---
+// Compiles and runs the GLSL passes through BarrelRenderer in a headless-gl
+// context, as bin/barrel-render.js does, at a fixed time and seed, and
+// compares the pixels with the PNGs in __golden__. Missing images are
+// written, except under CI; set UPDATE_GOLDEN=1 to rewrite them after an
+// intended visual change. On Linux without a display, headless-gl needs
+// `xvfb-run -a npm test`; without the "gl" package or a context the suite is
+// skipped with a warning.
+
+const GOLDEN_DIR = join(dirname(fileURLToPath(import.meta.url)), '__golden__');
+const SIZE = 128;
+const TIME = 0.75;
+const SEED = 7;
+// Channel difference allowed for float precision across GPUs and drivers
+const TOLERANCE = 2;
+
+const createGL = await import('gl').then(module => module.default, () => null);
+
+const destroyContext = gl => gl.getExtension('STACKGL_destroy_context')?.destroy();
+
+const hasWebGL = (() => {
+  const gl = createGL?.(1, 1);
+  if (!gl) return false;
+  destroyContext(gl);
+  return true;
+})();
+
+if (!hasWebGL) {
+  console.warn('Skipping the golden images: no headless-gl context (install "gl"; without a display, run under xvfb-run -a)');
+}
+
+// An opaque test card: a checkerboard with a gradient, a disc and thin lines,
+// so blurs, distortion and aliasing all show
+const createSource = () => {
+  const canvas = createCanvas(SIZE, SIZE);
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(SIZE, SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const i = (y * SIZE + x) * 4;
+      const check = (Math.floor(x / 16) + Math.floor(y / 16)) % 2;
+      const inDisc = (x - 64) ** 2 + (y - 64) ** 2 < 30 ** 2;
+      const line = x % 8 === 0 || y % 32 === 0;
+      image.data[i] = inDisc ? 255 : check * 200;
+      image.data[i + 1] = line ? 255 : Math.round((x / SIZE) * 255);
+      image.data[i + 2] = inDisc ? 40 : Math.round((y / SIZE) * 255);
+      image.data[i + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+};
+
+// Straight-alpha RGBA pixels of the frame, top row first. The renderer works
+// in premultiplied alpha, as a browser canvas does.
+const readPixels = (gl) => {
+  const pixels = new Uint8Array(SIZE * SIZE * 4);
+  gl.readPixels(0, 0, SIZE, SIZE, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  const flipped = new Uint8ClampedArray(pixels.length);
+  const rowSize = SIZE * 4;
+  for (let y = 0; y < SIZE; y++) {
+    flipped.set(pixels.subarray((SIZE - 1 - y) * rowSize, (SIZE - y) * rowSize), y * rowSize);
+  }
+  for (let i = 0; i < flipped.length; i += 4) {
+    const alpha = flipped[i + 3];
+    if (alpha === 0 || alpha === 255) continue;
+    flipped[i] = (flipped[i] * 255) / alpha;
+    flipped[i + 1] = (flipped[i + 1] * 255) / alpha;
+    flipped[i + 2] = (flipped[i + 2] * 255) / alpha;
+  }
+  return flipped;
+};
+
+// headless-gl contexts have a fixed size, so BarrelRenderer gets a stand-in
+// canvas around one. The renderer skips a pass that fails to compile; here
+// that fails the case.
+const renderCase = (params) => {
+  const gl = createGL(SIZE, SIZE, { preserveDrawingBuffer: true, alpha: true });
+  const errors = [];
+  const renderer = new BarrelRenderer(
+    { width: SIZE, height: SIZE, getContext: () => gl },
+    { onError: error => errors.push(error) }
+  );
+  try {
+    renderer.setParams({ seed: SEED, quality: 'fast', ...params });
+    renderer.setSource(createSource());
+    renderer.render(TIME);
+    if (errors.length > 0) throw errors[0];
+    return readPixels(gl);
+  } finally {
+    renderer.dispose();
+    destroyContext(gl);
+  }
+};
+
+const toPng = (pixels) => {
+  const canvas = createCanvas(SIZE, SIZE);
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(SIZE, SIZE);
+  image.data.set(pixels);
+  ctx.putImageData(image, 0, 0);
+  return canvas.toBuffer('image/png');
+};
+
+const expectGolden = async (name, pixels) => {
+  const path = join(GOLDEN_DIR, `${name}.png`);
+  if (process.env.UPDATE_GOLDEN || (!existsSync(path) && !process.env.CI)) {
+    mkdirSync(GOLDEN_DIR, { recursive: true });
+    writeFileSync(path, toPng(pixels));
+    return;
+  }
+  if (!existsSync(path)) {
+    throw new Error(`No golden image ${name}.png; run the tests with UPDATE_GOLDEN=1 to create it`);
+  }
+  const golden = createCanvas(SIZE, SIZE);
+  const ctx = golden.getContext('2d');
+  ctx.drawImage(await loadImage(readFileSync(path)), 0, 0);
+  const expected = ctx.getImageData(0, 0, SIZE, SIZE).data;
+  let mismatched = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    if (Math.abs(pixels[i] - expected[i]) > TOLERANCE) mismatched++;
+  }
+  expect(mismatched, `${mismatched} channels differ from ${name}.png`).toBe(0);
+};
+
+describe.skipIf(!hasWebGL)('golden images', () => {
+  it('renders the default pipeline', async () => {
+    await expectGolden('default', renderCase({ passes: DEFAULT_PASSES }));
+  });
+
+  // Each pass alone, at settings strong enough to show it
+  const PASS_SETTINGS = {
+    glitch: { glitchIntensity: 1 },
+    blur: { blurAmount: 5 },
+    scanlines: { scanlineIntensity: 0.3 },
+    barrel: { distortion: 2, zoom: 1.2 },
+    chromaticAberration: { aberration: 1 },
+    bloom: { bloomIntensity: 1, bloomThreshold: 0.3 },
+    phosphorMask: { maskIntensity: 0.8, maskSize: 8 },
+    vignette: { vignetteIntensity: 1 },
+    interference: { flicker: 1, rollingBar: 1 },
+    noise: { noise: 0.3 },
+    bezel: { bezelRadius: 0.15, bezelColor: '#336699' },
+  };
+
+  BUILT_IN_PASSES.forEach((pass) => {
+    it(`renders the ${pass.label} pass`, async () => {
+      const pixels = renderCase({ passes: [{ id: pass.id }], ...PASS_SETTINGS[pass.id] });
+      await expectGolden(`pass-${pass.id}`, pixels);
+    });
+  });
+
+  it('renders the fisheye lens models', async () => {
+    for (const lensModel of ['fisheyeEquidistant', 'fisheyeStereographic']) {
+      const pixels = renderCase({ passes: [{ id: 'barrel' }], lensModel, fisheyeFov: 150, zoom: 1 });
+      await expectGolden(`lens-${lensModel}`, pixels);
+    }
+  });
+
+  it('renders the lens in high quality, supersampled', async () => {
+    const pixels = renderCase({ passes: [{ id: 'barrel' }], distortion: 4, zoom: 1, quality: 'high', supersampling: 2 });
+    await expectGolden('lens-high-quality', pixels);
+  });
+});
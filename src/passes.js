@@ -0,0 +1,490 @@
+import { REFERENCE_SIZE } from './helpers';
+
+// --- Effect Passes ---
+// Each effect is a pass: a GLSL snippet defining `vec4 effect(vec2 uv)` (see
+// buildFragmentSource), the uniforms it reads and a parameter schema that the
+// controls panel renders. The renderer runs the enabled passes in order,
+// each reading the previous one's output through `uInput`.
+//
+// `uniforms` maps a uniform name to a settings key, or to a function of
+// (params, frame) for derived values; `frame` holds the output `width`,
+// `height` and `resolutionScale`. `isActive(params)` lets a pass be skipped
+// when its settings make it a no-op. `steps` runs a pass several times in a
+// row, each time with extra uniform values (the two directions of a
+// separable blur), and `mipmaps: true` asks for a mipmapped input in 'high'
+// quality, for passes that read it minified.
+
+const glitchPass = {
+  id: 'glitch',
+  label: 'Glitch',
+  glsl: `
+    uniform float uGlitchIntensity;
+    
+    vec4 effect(vec2 uv) {
+      // Check if this line should glitch based on time and y-coord
+      float glitchRandom = random(vec2(floor(uTime * 15.0), floor(uv.y * 20.0)));
+      if (glitchRandom < uGlitchIntensity * 0.2) {
+        // How much to displace the line horizontally
+        float displacement = (random(vec2(uTime * 30.0, uv.y * 10.0)) - 0.5) * 0.1;
+        uv.x += displacement;
+      }
+      return texture2D(uInput, uv);
+    }
+  `,
+  uniforms: { uGlitchIntensity: 'glitchIntensity' },
+  params: [
+    { key: 'glitchIntensity', label: 'Glitch', min: 0, max: 1, step: 0.05, default: 0.5 },
+  ],
+  isActive: (params) => params.glitchIntensity > 0,
+};
+
+const blurPass = {
+  id: 'blur',
+  label: 'Blur',
+  glsl: `
+    uniform float uBlurRadius; // standard deviation, in source pixels
+    uniform vec2 uBlurDirection; // (1, 0) on the first step, (0, 1) on the second
+    
+    vec4 effect(vec2 uv) {
+      // 33 taps spread over ±3 standard deviations, so the weights are the
+      // same at every radius and only the spacing changes
+      vec2 tapStep = uBlurDirection * uTexelSize * uBlurRadius * (3.0 / 16.0);
+      vec4 sum = vec4(0.0);
+      float total = 0.0;
+      for (int i = -16; i <= 16; i++) {
+        float weight = exp(-float(i * i) * (9.0 / 512.0));
+        sum += texture2D(uInput, uv + tapStep * float(i)) * weight;
+        total += weight;
+      }
+      return sum / total;
+    }
+  `,
+  // The radius is authored in REFERENCE_SIZE pixels
+  uniforms: { uBlurRadius: (params, frame) => params.blurAmount * frame.resolutionScale },
+  // Separable: a horizontal then a vertical pass
+  steps: [{ uBlurDirection: [1, 0] }, { uBlurDirection: [0, 1] }],
+  params: [
+    { key: 'blurAmount', label: 'Blur', min: 0, max: 5, step: 0.1, default: 0.5 },
+  ],
+  isActive: (params) => params.blurAmount > 0,
+};
+
+const scanlinesPass = {
+  id: 'scanlines',
+  label: 'Scanlines',
+  glsl: `
+    uniform float uScanlineIntensity;
+    uniform float uScanlineFrequency;
+    
+    vec4 effect(vec2 uv) {
+      vec4 color = texture2D(uInput, uv);
+      float scanlineY = uv.y + uTime * 0.02; // Add time to make them scroll
+      float scanline = sin(scanlineY * uScanlineFrequency) * uScanlineIntensity;
+      color.rgb -= scanline;
+      return color;
+    }
+  `,
+  uniforms: {
+    uScanlineIntensity: 'scanlineIntensity',
+    // Same line spacing relative to the shorter side at every resolution
+    uScanlineFrequency: (params, frame) => REFERENCE_SIZE * 1.5 * frame.height / Math.min(frame.width, frame.height),
+  },
+  params: [
+    { key: 'scanlineIntensity', label: 'Scanlines', min: 0, max: 0.5, step: 0.01, default: 0.15 },
+  ],
+  isActive: (params) => params.scanlineIntensity > 0,
+};
+
+const LENS_MODELS = ['brown', 'fisheyeEquidistant', 'fisheyeStereographic'];
+
+const barrelPass = {
+  id: 'barrel',
+  label: 'Lens',
+  glsl: `
+    uniform float uFootprintSampling; // 1 to average four taps over each pixel's footprint
+    
+    vec4 effect(vec2 uv) {
+      vec2 center = lensMap(uv);
+      if (uFootprintSampling < 0.5) return texture2D(uInput, center);
+      
+      // Where the neighbouring pixels land in the source: the parallelogram
+      // this pixel covers, which strong distortion squeezes far below a
+      // texel. Four taps in a rotated grid cover it; with mipmaps each tap
+      // reads one level finer, since the taps already split the footprint.
+      vec2 alongX = lensMap(uv + vec2(uPixelSize.x, 0.0));
+      vec2 alongY = lensMap(uv + vec2(0.0, uPixelSize.y));
+      if (min(center.x, min(alongX.x, alongY.x)) < -0.5) {
+        return texture2D(uInput, center); // Next to the fisheye rim
+      }
+      vec2 dx = alongX - center;
+      vec2 dy = alongY - center;
+      vec4 sum = texture2D(uInput, center - dx * 0.125 - dy * 0.375, -1.0);
+      sum += texture2D(uInput, center + dx * 0.375 - dy * 0.125, -1.0);
+      sum += texture2D(uInput, center + dx * 0.125 + dy * 0.375, -1.0);
+      sum += texture2D(uInput, center - dx * 0.375 + dy * 0.125, -1.0);
+      return sum * 0.25;
+    }
+  `,
+  // The lens uniforms are shared with every pass through lensMap()
+  uniforms: { uFootprintSampling: (params) => (params.quality === 'high' ? 1 : 0) },
+  // Reads its input minified where the lens squeezes the image
+  mipmaps: true,
+  params: [
+    {
+      key: 'lensModel',
+      label: 'Model',
+      type: 'select',
+      options: [
+        { value: 'brown', label: 'Radial / Tangential' },
+        { value: 'fisheyeEquidistant', label: 'Fisheye (Equidistant)' },
+        { value: 'fisheyeStereographic', label: 'Fisheye (Stereographic)' },
+      ],
+      default: 'brown',
+    },
+    { key: 'distortion', label: 'Distortion (k1)', min: -5, max: 5, step: 0.01, default: 2 },
+    { key: 'k2', label: 'k2', min: -5, max: 5, step: 0.01, default: 0 },
+    { key: 'k3', label: 'k3', min: -5, max: 5, step: 0.01, default: 0 },
+    { key: 'p1', label: 'Tangential p1', min: -0.5, max: 0.5, step: 0.005, default: 0 },
+    { key: 'p2', label: 'Tangential p2', min: -0.5, max: 0.5, step: 0.005, default: 0 },
+    { key: 'fisheyeFov', label: 'Fisheye FOV (°)', min: 10, max: 175, step: 1, default: 120 },
+    { key: 'distortionX', label: 'Strength X', min: 0, max: 2, step: 0.01, default: 1 },
+    { key: 'distortionY', label: 'Strength Y', min: 0, max: 2, step: 0.01, default: 1 },
+    { key: 'lensCenterX', label: 'Center X', min: 0, max: 1, step: 0.005, default: 0.5 },
+    { key: 'lensCenterY', label: 'Center Y', min: 0, max: 1, step: 0.005, default: 0.5 },
+    { key: 'zoom', label: 'Zoom', min: 0.5, max: 10, step: 0.01, default: 1.5 },
+  ],
+};
+
+// Uniforms of the lens model in fsHeader. They are set for every pass, so
+// screen-space passes agree with the lens pass about the source bounds.
+export const LENS_UNIFORMS = {
+  uLensModel: (params) => Math.max(0, LENS_MODELS.indexOf(params.lensModel)),
+  uDistortion: 'distortion',
+  uK2: 'k2',
+  uK3: 'k3',
+  uTangential: (params) => [params.p1, params.p2],
+  uLensStrength: (params) => [params.distortionX, params.distortionY],
+  uLensCenter: (params) => [params.lensCenterX, params.lensCenterY],
+  // Focal length that puts half the field of view at the edge (radius 0.5)
+  uFisheyeFocal: (params) => {
+    const halfFov = (params.fisheyeFov * Math.PI) / 360;
+    return params.lensModel === 'fisheyeStereographic'
+      ? 0.25 / Math.tan(halfFov / 2)
+      : 0.5 / halfFov;
+  },
+  uZoom: 'zoom',
+};
+
+const noisePass = {
+  id: 'noise',
+  label: 'Noise',
+  glsl: `
+    uniform float uNoiseAmount;
+    
+    vec4 effect(vec2 uv) {
+      vec4 color = texture2D(uInput, uv);
+      // Leave pixels the lens pulled from outside the source untouched
+      if (inBounds(lensMap(uv))) {
+        // Multiply time by a large number to make the noise animate quickly
+        float noise = (random(uv + uTime * 25.0) - 0.5) * uNoiseAmount;
+        color.rgb += noise;
+      }
+      return color;
+    }
+  `,
+  uniforms: { uNoiseAmount: 'noise' },
+  params: [
+    { key: 'noise', label: 'Noise', min: 0, max: 0.2, step: 0.005, default: 0.05 },
+  ],
+  isActive: (params) => params.noise > 0,
+};
+
+const chromaticAberrationPass = {
+  id: 'chromaticAberration',
+  label: 'Chromatic Aberration',
+  glsl: `
+    uniform float uAberration;
+    
+    vec4 effect(vec2 uv) {
+      // Red and blue drift apart more the further a pixel is from the center
+      vec2 fromCenter = uv - vec2(0.5, 0.5);
+      vec2 offset = fromCenter * length(fromCenter * uAspect) * uAberration * 0.05;
+      vec4 color = texture2D(uInput, uv);
+      color.r = texture2D(uInput, uv + offset).r;
+      color.b = texture2D(uInput, uv - offset).b;
+      return color;
+    }
+  `,
+  uniforms: { uAberration: 'aberration' },
+  params: [
+    { key: 'aberration', label: 'Aberration', min: 0, max: 2, step: 0.01, default: 0.5 },
+  ],
+  isActive: (params) => params.aberration > 0,
+};
+
+const bloomPass = {
+  id: 'bloom',
+  label: 'Bloom',
+  glsl: `
+    uniform float uBloomIntensity;
+    uniform float uBloomThreshold;
+    uniform vec2 uBloomStep;
+    
+    vec3 brightPart(vec2 uv) {
+      vec3 color = texture2D(uInput, uv).rgb;
+      return max(color - uBloomThreshold, 0.0);
+    }
+    
+    vec4 effect(vec2 uv) {
+      vec4 color = texture2D(uInput, uv);
+      vec3 glow = vec3(0.0);
+      // Two rings of eight taps around the pixel
+      for (int i = 0; i < 8; i++) {
+        float angle = float(i) * 0.785398;
+        vec2 direction = vec2(cos(angle), sin(angle)) * uBloomStep;
+        glow += brightPart(uv + direction) * 0.6;
+        glow += brightPart(uv + direction * 2.0) * 0.4;
+      }
+      color.rgb += glow / 8.0 * uBloomIntensity;
+      return color;
+    }
+  `,
+  uniforms: {
+    uBloomIntensity: 'bloomIntensity',
+    uBloomThreshold: 'bloomThreshold',
+    // The radius is authored in REFERENCE_SIZE pixels
+    uBloomStep: (params, frame) => frame.texelSize.map(texel => texel * params.bloomRadius * frame.resolutionScale),
+  },
+  params: [
+    { key: 'bloomIntensity', label: 'Intensity', min: 0, max: 3, step: 0.05, default: 1 },
+    { key: 'bloomThreshold', label: 'Threshold', min: 0, max: 1, step: 0.01, default: 0.6 },
+    { key: 'bloomRadius', label: 'Radius', min: 1, max: 20, step: 0.5, default: 6 },
+  ],
+  isActive: (params) => params.bloomIntensity > 0,
+};
+
+const PHOSPHOR_MASK_TYPES = ['aperture', 'shadow', 'slot'];
+
+const phosphorMaskPass = {
+  id: 'phosphorMask',
+  label: 'Phosphor Mask',
+  glsl: `
+    uniform float uMaskType; // 0 aperture grille, 1 shadow mask, 2 slot mask
+    uniform float uMaskIntensity;
+    uniform float uMaskSize; // one phosphor column, in output pixels
+    
+    vec3 channel(float index) {
+      return vec3(step(index, 0.5), step(0.5, index) * step(index, 1.5), step(1.5, index));
+    }
+    
+    vec4 effect(vec2 uv) {
+      vec4 color = texture2D(uInput, uv);
+      // Work in output pixels so preview and export show the same pattern
+      vec2 cell = floor(uv / uTexelSize / uMaskSize);
+      vec3 mask;
+      if (uMaskType < 0.5) {
+        // Aperture grille: continuous vertical RGB stripes
+        mask = channel(mod(cell.x, 3.0));
+      } else if (uMaskType < 1.5) {
+        // Shadow mask: triads shifted on every other row
+        mask = channel(mod(floor(cell.x + mod(cell.y, 2.0) * 1.5), 3.0));
+      } else {
+        // Slot mask: stripes broken into slots, staggered per triad
+        float triad = floor(cell.x / 3.0);
+        float gap = step(2.5, mod(cell.y + mod(triad, 2.0) * 2.0, 4.0));
+        mask = channel(mod(cell.x, 3.0)) * (1.0 - gap);
+      }
+      // Boost the lit channel so the mask darkens less than it tints
+      color.rgb *= mix(vec3(1.0), mask * 2.0 + 0.25, uMaskIntensity);
+      return color;
+    }
+  `,
+  uniforms: {
+    uMaskType: (params) => Math.max(0, PHOSPHOR_MASK_TYPES.indexOf(params.maskType)),
+    uMaskIntensity: 'maskIntensity',
+    uMaskSize: (params, frame) => Math.max(1, params.maskSize * frame.resolutionScale),
+  },
+  params: [
+    {
+      key: 'maskType',
+      label: 'Type',
+      type: 'select',
+      options: [
+        { value: 'aperture', label: 'Aperture Grille' },
+        { value: 'shadow', label: 'Shadow Mask' },
+        { value: 'slot', label: 'Slot Mask' },
+      ],
+      default: 'aperture',
+    },
+    { key: 'maskIntensity', label: 'Intensity', min: 0, max: 1, step: 0.01, default: 0.3 },
+    { key: 'maskSize', label: 'Size', min: 1, max: 6, step: 0.5, default: 1 },
+  ],
+  isActive: (params) => params.maskIntensity > 0,
+};
+
+const vignettePass = {
+  id: 'vignette',
+  label: 'Vignette',
+  glsl: `
+    uniform float uVignetteIntensity;
+    uniform float uVignetteSize;
+    
+    vec4 effect(vec2 uv) {
+      vec4 color = texture2D(uInput, uv);
+      float dist = length((uv - vec2(0.5, 0.5)) * uAspect);
+      float shade = smoothstep(uVignetteSize, uVignetteSize + 0.5, dist);
+      color.rgb *= 1.0 - shade * uVignetteIntensity;
+      return color;
+    }
+  `,
+  uniforms: { uVignetteIntensity: 'vignetteIntensity', uVignetteSize: 'vignetteSize' },
+  params: [
+    { key: 'vignetteIntensity', label: 'Intensity', min: 0, max: 1, step: 0.01, default: 0.5 },
+    { key: 'vignetteSize', label: 'Size', min: 0, max: 1, step: 0.01, default: 0.3 },
+  ],
+  isActive: (params) => params.vignetteIntensity > 0,
+};
+
+const interferencePass = {
+  id: 'interference',
+  label: 'Flicker & Rolling Bar',
+  glsl: `
+    uniform float uFlicker;
+    uniform float uRollingBar;
+    uniform float uRollingBarSpeed;
+    
+    vec4 effect(vec2 uv) {
+      vec4 color = texture2D(uInput, uv);
+      // Whole-frame brightness jitter at roughly mains frequency
+      float flicker = 1.0 - random(vec2(floor(uTime * 60.0), 0.0)) * uFlicker * 0.3;
+      // A soft dark band crawling down the screen
+      float barPosition = fract(uTime * uRollingBarSpeed);
+      float barDistance = abs(fract(uv.y - barPosition + 0.5) - 0.5);
+      float bar = 1.0 - smoothstep(0.0, 0.15, barDistance);
+      color.rgb *= flicker * (1.0 - bar * uRollingBar * 0.4);
+      return color;
+    }
+  `,
+  uniforms: { uFlicker: 'flicker', uRollingBar: 'rollingBar', uRollingBarSpeed: 'rollingBarSpeed' },
+  params: [
+    { key: 'flicker', label: 'Flicker', min: 0, max: 1, step: 0.01, default: 0.2 },
+    { key: 'rollingBar', label: 'Rolling Bar', min: 0, max: 1, step: 0.01, default: 0.3 },
+    { key: 'rollingBarSpeed', label: 'Bar Speed', min: 0, max: 1, step: 0.01, default: 0.15 },
+  ],
+  isActive: (params) => params.flicker > 0 || params.rollingBar > 0,
+};
+
+const bezelPass = {
+  id: 'bezel',
+  label: 'Bezel',
+  glsl: `
+    uniform float uBezelRadius; // corner radius, fraction of the shorter side
+    uniform vec3 uBezelColor;
+    uniform float uBezelAlpha;
+    
+    vec4 effect(vec2 uv) {
+      vec4 color = texture2D(uInput, uv);
+      // Mask in source space, so the rounded screen edge bends with the lens
+      vec2 sourceCoord = lensMap(uv);
+      vec2 halfSize = 0.5 * uAspect;
+      vec2 corner = abs(sourceCoord - vec2(0.5, 0.5)) * uAspect - (halfSize - uBezelRadius);
+      float outside = length(max(corner, 0.0)) + min(max(corner.x, corner.y), 0.0) - uBezelRadius;
+      float edge = smoothstep(-0.004, 0.004, outside);
+      return mix(color, vec4(uBezelColor * uBezelAlpha, uBezelAlpha), edge); // premultiplied
+    }
+  `,
+  uniforms: {
+    uBezelRadius: 'bezelRadius',
+    uBezelColor: 'bezelColor',
+    uBezelAlpha: (params) => (params.transparencyMode === 'background' ? 0 : 1),
+  },
+  params: [
+    { key: 'bezelRadius', label: 'Corner Radius', min: 0, max: 0.25, step: 0.005, default: 0.06 },
+    { key: 'bezelColor', label: 'Color', type: 'color', default: '#111111' },
+  ],
+};
+
+// Used when no pass is enabled, so the source still reaches the canvas
+export const COPY_PASS = {
+  id: 'copy',
+  label: 'Copy',
+  glsl: `
+    vec4 effect(vec2 uv) {
+      return texture2D(uInput, uv);
+    }
+  `,
+  uniforms: {},
+  params: [],
+};
+
+// Ends a supersampled frame: averages the block of rendered pixels under
+// each canvas pixel
+export const DOWNSAMPLE_PASS = {
+  id: 'downsample',
+  label: 'Downsample',
+  glsl: `
+    uniform float uFactor; // rendered pixels per canvas pixel along each axis, 2 to 4
+    
+    vec4 effect(vec2 uv) {
+      vec4 sum = vec4(0.0);
+      for (int x = 0; x < 4; x++) {
+        for (int y = 0; y < 4; y++) {
+          if (float(x) < uFactor && float(y) < uFactor) {
+            vec2 offset = vec2(float(x), float(y)) - (uFactor - 1.0) * 0.5;
+            sum += texture2D(uInput, uv + offset * uPixelSize);
+          }
+        }
+      }
+      return sum / (uFactor * uFactor);
+    }
+  `,
+  uniforms: { uFactor: (params, frame) => frame.supersampling },
+  params: [],
+};
+
+export const BUILT_IN_PASSES = [
+  glitchPass,
+  blurPass,
+  scanlinesPass,
+  barrelPass,
+  chromaticAberrationPass,
+  bloomPass,
+  phosphorMaskPass,
+  vignettePass,
+  interferencePass,
+  noisePass,
+  bezelPass,
+];
+
+// The original five effects are on by default; the CRT extras start disabled
+// so the default look is unchanged until they are switched on.
+const DEFAULT_ENABLED_PASSES = ['glitch', 'blur', 'scanlines', 'barrel', 'noise'];
+
+// --- Registry ---
+const registry = new Map();
+
+export const registerPass = (pass) => {
+  if (!pass || !pass.id || typeof pass.glsl !== 'string') {
+    throw new Error('A pass needs an `id` and a `glsl` snippet.');
+  }
+  registry.set(pass.id, { label: pass.id, uniforms: {}, params: [], ...pass });
+};
+
+export const getPass = (id) => registry.get(id);
+
+export const getRegisteredPasses = () => [...registry.values()];
+
+BUILT_IN_PASSES.forEach(registerPass);
+
+// Pipeline order matching the original single shader: glitch, blur and
+// scanlines work on the flat source, the lens bends it, the screen-space CRT
+// effects and noise sit on top, and the bezel frames the result.
+export const DEFAULT_PASSES = BUILT_IN_PASSES.map(pass => ({
+  id: pass.id,
+  enabled: DEFAULT_ENABLED_PASSES.includes(pass.id),
+}));
+
+// Collects `{ [key]: default }` from the parameter schemas of `passes`.
+export const getPassDefaults = (passes) => Object.fromEntries(
+  passes.flatMap(pass => pass.params.map(param => [param.key, param.default]))
+);
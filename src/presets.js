@@ -0,0 +1,347 @@
+import { DEFAULT_SETTINGS, OUTPUT_SIZE_RANGE, SEED_RANGE } from './defaultSettings';
+import { getAnimatableParams, EASINGS } from './timeline';
+import { getPass, getRegisteredPasses } from './passes';
+import { TEXT_STYLE_PARAMS } from './textLayout';
+import { BACKGROUND_PARAMS } from './background';
+import { isColor } from './color';
+
+// --- Presets ---
+// A preset is a versioned JSON document holding a full settings object:
+//   { version: PRESET_VERSION, name, settings }
+// Documents from older versions are upgraded by MIGRATIONS, then every value
+// is checked against the settings schema below. Missing or invalid values
+// fall back to the defaults, so presets saved before a setting existed keep
+// loading after it is added.
+
+export const PRESET_VERSION = 1;
+
+const STORAGE_KEY = 'barrel-distortion-presets';
+const SESSION_KEY = 'barrel-distortion-session';
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1. Version 0 is
+// a bare settings object, as copied from DEFAULT_SETTINGS.
+const MIGRATIONS = {
+  0: (data) => ({ version: 1, name: data.name, settings: data.settings ?? data }),
+};
+
+const range = (min, max, { integer = false } = {}) => ({ type: 'number', min, max, integer });
+const oneOf = (...options) => ({ type: 'enum', options });
+const COLOR = { type: 'color' };
+const BOOLEAN = { type: 'boolean' };
+const STRING = { type: 'string' };
+
+// Settings that don't belong to a pass, with the ranges their controls allow.
+// Pass parameters, text and background styles are checked against their
+// `params` schema.
+const SETTINGS_SCHEMA = {
+  width: range(OUTPUT_SIZE_RANGE.min, OUTPUT_SIZE_RANGE.max, { integer: true }),
+  height: range(OUTPUT_SIZE_RANGE.min, OUTPUT_SIZE_RANGE.max, { integer: true }),
+  text: STRING,
+  fontSize: range(20, 200),
+  fontFamily: STRING,
+  fontWeight: oneOf(100, 200, 300, 400, 500, 600, 700, 800, 900),
+  fontItalic: BOOLEAN,
+  letterSpacing: range(-10, 50),
+  lineSpacing: range(0.8, 2),
+  fontColor: COLOR,
+  bgColor: COLOR,
+  transparencyMode: oneOf('normal', 'text', 'background'),
+  seed: range(SEED_RANGE.min, SEED_RANGE.max, { integer: true }),
+  mediaFit: oneOf('contain', 'cover'),
+  enableTypingAnimation: BOOLEAN,
+  typingUnit: oneOf('character', 'word', 'line'),
+  typingFrameDuration: range(20, 2000),
+  typingJitter: range(0, 1),
+  typingEndPause: range(0, 5000),
+  typingDeleteMode: oneOf('none', 'backspace', 'clear'),
+  typingCursor: oneOf('none', 'block', 'underscore'),
+  typingLoop: BOOLEAN,
+  animationFormat: oneOf('gif', 'apng', 'webp'),
+  zipFrames: BOOLEAN,
+  videoFormat: oneOf('webm', 'mp4'),
+  videoBitrate: range(1, 50),
+  previewQuality: oneOf('fast', 'high'),
+  exportSupersampling: oneOf(1, 2, 3, 4),
+};
+
+const getParamRule = (param) => {
+  const type = param.type ?? 'range';
+  if (type === 'range') return range(param.min, param.max);
+  if (type === 'select') return oneOf(...param.options.map(option => option.value));
+  if (type === 'color') return COLOR;
+  if (type === 'checkbox') return BOOLEAN;
+  return null;
+};
+
+// Rules for every setting, including the text and background styles and the
+// params of the registered passes
+const getSettingRules = () => {
+  const rules = { ...SETTINGS_SCHEMA };
+  [TEXT_STYLE_PARAMS, BACKGROUND_PARAMS, ...getRegisteredPasses().map(pass => pass.params)].forEach(params => params.forEach((param) => {
+    const rule = getParamRule(param);
+    if (rule) rules[param.key] = rule;
+  }));
+  return rules;
+};
+
+// Returns the value if it satisfies `rule`, clamped to its range, or undefined.
+const checkValue = (rule, value) => {
+  switch (rule.type) {
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+      const clamped = Math.min(rule.max, Math.max(rule.min, value));
+      return rule.integer ? Math.round(clamped) : clamped;
+    }
+    case 'enum': return rule.options.includes(value) ? value : undefined;
+    case 'color': return isColor(value) ? value : undefined;
+    case 'boolean': return typeof value === 'boolean' ? value : undefined;
+    case 'string': return typeof value === 'string' ? value : undefined;
+    default: return undefined;
+  }
+};
+
+const validatePasses = (value) => {
+  if (!Array.isArray(value)) return undefined;
+  const seen = new Set();
+  return value
+    .filter((entry) => {
+      // Unknown passes are dropped, and so are repeats
+      if (!entry || !getPass(entry.id) || seen.has(entry.id)) return false;
+      seen.add(entry.id);
+      return true;
+    })
+    .map(entry => ({ id: entry.id, enabled: entry.enabled !== false }));
+};
+
+// Keyframe values are held to the same rules as the settings they animate
+const validateTimeline = (value, rules) => {
+  if (!value || typeof value !== 'object') return undefined;
+  const defaults = DEFAULT_SETTINGS.timeline;
+  const animatable = new Set(getAnimatableParams().map(param => param.key));
+  const tracks = {};
+  Object.entries(value.tracks ?? {}).forEach(([key, keyframes]) => {
+    if (!animatable.has(key) || !Array.isArray(keyframes)) return;
+    const valid = keyframes
+      .filter(keyframe => keyframe && typeof keyframe.time === 'number' && Number.isFinite(keyframe.time))
+      .map(({ time, value: keyValue, easing }) => ({
+        time: checkValue(range(0, 20), time),
+        value: checkValue(rules[key], keyValue),
+        easing: EASINGS[easing] ? easing : 'linear',
+      }))
+      .filter(keyframe => keyframe.value !== undefined)
+      .sort((a, b) => a.time - b.time);
+    if (valid.length > 0) tracks[key] = valid;
+  });
+  return {
+    duration: checkValue(range(0.5, 20), value.duration) ?? defaults.duration,
+    fps: checkValue(range(1, 60, { integer: true }), value.fps) ?? defaults.fps,
+    tracks,
+  };
+};
+
+// Builds a complete settings object from untrusted `input`. Returns
+// `{ settings, warnings }`; each warning names a value that was replaced by
+// its default.
+export const validateSettings = (input) => {
+  const settings = { ...DEFAULT_SETTINGS };
+  const warnings = [];
+  if (!input || typeof input !== 'object') {
+    return { settings, warnings: ['Settings must be an object'] };
+  }
+
+  const apply = (key, value) => {
+    if (!(key in input)) return;
+    if (value === undefined) {
+      warnings.push(`Invalid value for "${key}"`);
+    } else {
+      settings[key] = value;
+    }
+  };
+
+  const rules = getSettingRules();
+  Object.entries(rules).forEach(([key, rule]) => apply(key, checkValue(rule, input[key])));
+  apply('passes', validatePasses(input.passes));
+  apply('timeline', validateTimeline(input.timeline, rules));
+  return { settings, warnings };
+};
+
+export const createPreset = (name, settings) => ({ version: PRESET_VERSION, name, settings });
+
+// Reads a preset document (a parsed object or a JSON string), upgrading it to
+// PRESET_VERSION. Returns `{ name, settings, warnings }`.
+// @throws Error when the input is not a preset or comes from a newer version.
+export const parsePreset = (input) => {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error('The preset is not valid JSON');
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The preset is not a settings object');
+  }
+
+  let version = Number.isInteger(data.version) ? data.version : 0;
+  if (version > PRESET_VERSION) {
+    throw new Error(`The preset was saved by a newer version (schema ${version})`);
+  }
+  while (version < PRESET_VERSION) {
+    data = MIGRATIONS[version](data);
+    version = data.version;
+  }
+
+  const { settings, warnings } = validateSettings(data.settings);
+  return { name: typeof data.name === 'string' ? data.name : '', settings, warnings };
+};
+
+// --- Built-in looks ---
+// Stored as overrides of DEFAULT_SETTINGS; `getBuiltInPresets` fills them in.
+const BUILT_IN_LOOKS = [
+  {
+    name: 'Arcade Cabinet',
+    settings: {
+      fontColor: '#39FF14',
+      bgColor: '#05050F',
+      passes: ['glitch', 'scanlines', 'barrel', 'bloom', 'phosphorMask', 'vignette', 'bezel'].map(id => ({ id, enabled: true })),
+      glitchIntensity: 0.1,
+      scanlineIntensity: 0.3,
+      distortion: 2.5,
+      zoom: 1.6,
+      bloomIntensity: 1.6,
+      bloomThreshold: 0.4,
+      maskType: 'aperture',
+      maskIntensity: 0.4,
+      vignetteIntensity: 0.6,
+      bezelRadius: 0.08,
+    },
+  },
+  {
+    name: 'Amber Terminal',
+    settings: {
+      fontColor: '#FFB000',
+      bgColor: '#140A00',
+      passes: ['blur', 'scanlines', 'barrel', 'bloom', 'interference', 'noise'].map(id => ({ id, enabled: true })),
+      blurAmount: 0.8,
+      scanlineIntensity: 0.25,
+      distortion: 1.2,
+      zoom: 1.3,
+      bloomIntensity: 1.2,
+      bloomThreshold: 0.3,
+      flicker: 0.1,
+      rollingBar: 0.1,
+      noise: 0.03,
+      enableTypingAnimation: true,
+      typingUnit: 'character',
+      typingFrameDuration: 90,
+      typingJitter: 0.4,
+      typingCursor: 'block',
+    },
+  },
+  {
+    name: 'VHS Tape',
+    settings: {
+      bgColor: '#101018',
+      passes: ['glitch', 'blur', 'chromaticAberration', 'barrel', 'interference', 'noise', 'vignette'].map(id => ({ id, enabled: true })),
+      glitchIntensity: 0.3,
+      blurAmount: 1.5,
+      aberration: 1.4,
+      distortion: 0.6,
+      zoom: 1.1,
+      flicker: 0.15,
+      rollingBar: 0.6,
+      rollingBarSpeed: 0.08,
+      noise: 0.12,
+      vignetteIntensity: 0.4,
+    },
+  },
+  {
+    name: 'Broken TV',
+    settings: {
+      passes: ['glitch', 'scanlines', 'chromaticAberration', 'barrel', 'interference', 'noise', 'bezel'].map(id => ({ id, enabled: true })),
+      glitchIntensity: 1,
+      scanlineIntensity: 0.4,
+      aberration: 2,
+      distortion: 3.5,
+      zoom: 1.8,
+      flicker: 0.8,
+      rollingBar: 0.8,
+      rollingBarSpeed: 0.4,
+      noise: 0.2,
+    },
+  },
+];
+
+export const getBuiltInPresets = () => BUILT_IN_LOOKS.map(({ name, settings }) => ({
+  name,
+  settings: validateSettings({ ...DEFAULT_SETTINGS, ...settings }).settings,
+}));
+
+// --- Storage ---
+// Saved presets and the last session live in localStorage. Storage can be
+// unavailable (private mode, quota), so failures only log.
+
+const readStorage = (key) => {
+  try {
+    const json = localStorage.getItem(key);
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    console.error('Could not read saved settings:', error);
+    return null;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error('Could not save settings:', error);
+  }
+};
+
+// Returns the saved presets as `[{ name, settings }]`, skipping broken ones.
+export const loadSavedPresets = () => {
+  const stored = readStorage(STORAGE_KEY);
+  if (!Array.isArray(stored)) return [];
+  return stored.flatMap((document) => {
+    try {
+      const { name, settings } = parsePreset(document);
+      return name ? [{ name, settings }] : [];
+    } catch (error) {
+      console.error('Skipping a saved preset:', error);
+      return [];
+    }
+  });
+};
+
+const storePresets = (presets) => {
+  writeStorage(STORAGE_KEY, presets.map(({ name, settings }) => createPreset(name, settings)));
+};
+
+// Saves under `name`, replacing a preset of the same name. Returns the new list.
+export const savePreset = (name, settings) => {
+  const presets = [...loadSavedPresets().filter(preset => preset.name !== name), { name, settings }];
+  storePresets(presets);
+  return presets;
+};
+
+export const deletePreset = (name) => {
+  const presets = loadSavedPresets().filter(preset => preset.name !== name);
+  storePresets(presets);
+  return presets;
+};
+
+// The editor's settings across reloads.
+export const loadSession = () => {
+  const stored = readStorage(SESSION_KEY);
+  if (!stored) return null;
+  try {
+    return parsePreset(stored).settings;
+  } catch (error) {
+    console.error('Ignoring the saved session:', error);
+    return null;
+  }
+};
+
+export const saveSession = (settings) => writeStorage(SESSION_KEY, createPreset('', settings));
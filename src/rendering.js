@@ -0,0 +1,105 @@
+import { parseColor } from './color';
+import { getResolutionScale } from './helpers';
+import { BUILT_IN_PASSES, COPY_PASS, DEFAULT_PASSES, DOWNSAMPLE_PASS, getPass, getPassDefaults } from './passes';
+
+// --- Shared Renderer Logic ---
+// What BarrelRenderer (WebGL) and Canvas2DRenderer (CPU) have in common: the
+// parameter defaults, how the pipeline is picked from `params.passes`, the
+// per-frame values passes see, supersampling and the errors both report.
+
+export const DEFAULT_RENDER_PARAMS = {
+  ...getPassDefaults(BUILT_IN_PASSES),
+  bgColor: '#000000',
+  bgOpacity: 1,
+  transparencyMode: 'normal',
+  passes: DEFAULT_PASSES,
+  seed: 0,
+  // 'fast' samples the distorted image once per pixel; 'high' adds mipmaps
+  // and footprint sampling to passes that read their input minified
+  quality: 'high',
+  // Renders at this many times the canvas size per axis (1–4) and averages
+  // down, which smooths the edges the distortion bends
+  supersampling: 1,
+};
+
+// Errors passed to a renderer's `onError`. `code` is one of:
+//   'unavailable'   WebGL could not be created (Canvas2DRenderer is used instead)
+//   'shader'        a pass failed to compile or link and is skipped
+//   'context-lost'  the GPU context was lost; drawing resumes once it is restored
+//   'unsupported'   no renderer could be created on this canvas
+export class RendererError extends Error {
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = 'RendererError';
+    this.code = code;
+  }
+}
+
+export const isRendererError = (error) => error?.name === 'RendererError';
+
+// Spreads integer seeds over [0, 100) for the shader's hash; seed 0 adds
+// nothing. Small offsets keep the hash accurate at mediump precision.
+export const getSeedOffset = (seed) => ((Number(seed) || 0) * 0.6180339887) % 1 * 100;
+
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+// Uniform values are numbers, arrays or CSS color strings (see color.js),
+// which become straight RGBA; invalid colors give black rather than failing
+// the frame.
+export const toUniformValue = (value) => {
+  if (typeof value !== 'string') return value;
+  const color = parseColor(value) ?? BLACK;
+  return [color.r, color.g, color.b, color.a];
+};
+
+// Values every pass sees for one frame (`frame` in the pass uniforms).
+// `width` and `height` are the output (source) size; the frame is drawn at
+// the canvas size times `supersampling`.
+export const getFrameInfo = (time, width, height, { renderWidth = width, renderHeight = height, supersampling = 1 } = {}) => {
+  const shorterSide = Math.min(width, height);
+  return {
+    time,
+    width,
+    height,
+    resolutionScale: getResolutionScale(width, height),
+    texelSize: [1 / width, 1 / height],
+    aspect: [width / shorterSide, height / shorterSide],
+    supersampling,
+    pixelSize: [1 / renderWidth, 1 / renderHeight],
+  };
+};
+
+export const MAX_SUPERSAMPLING = 4;
+
+// `params.supersampling` as a whole factor from 1 to MAX_SUPERSAMPLING,
+// lowered until the rendered frame fits in `maxSize` pixels per side.
+export const getSupersampling = (params, width, height, maxSize = Infinity) => {
+  let factor = Math.min(MAX_SUPERSAMPLING, Math.max(1, Math.round(Number(params.supersampling) || 1)));
+  while (factor > 1 && Math.max(width, height) * factor > maxSize) factor--;
+  return factor;
+};
+
+// The enabled, registered passes that would change the image and that
+// `canRun(pass)` accepts, with the settings each one sees (its schema
+// defaults filled in). Falls back to a plain copy.
+export const getActivePasses = (params, canRun = () => true) => {
+  const active = (params.passes || DEFAULT_PASSES)
+    .filter(entry => entry.enabled !== false)
+    .map(entry => getPass(entry.id))
+    .filter(Boolean)
+    .map(pass => ({ pass, params: { ...getPassDefaults([pass]), ...params } }))
+    .filter(({ pass, params: passParams }) => (!pass.isActive || pass.isActive(passParams)) && canRun(pass));
+  return active.length > 0 ? active : [{ pass: COPY_PASS, params }];
+};
+
+// The draws of one frame: a pass runs once per entry of its `steps`, with
+// that entry's uniform values on top of its own, and a supersampled frame
+// ends with DOWNSAMPLE_PASS.
+export const getDraws = (passes, supersampling = 1) => {
+  const draws = passes.flatMap(({ pass, params }) =>
+    (pass.steps ?? [{}]).map(stepUniforms => ({ pass, params, stepUniforms })));
+  if (supersampling > 1) {
+    draws.push({ pass: DOWNSAMPLE_PASS, params: draws[draws.length - 1].params, stepUniforms: {} });
+  }
+  return draws;
+};
@@ -0,0 +1,88 @@
+// --- Shaders ---
+// Every pass draws the same full-screen quad. `uFlipY` is set when drawing into
+// a framebuffer so intermediate textures keep the image the right way up.
+export const vsSource = `
+  attribute vec2 aPosition;
+  attribute vec2 aTexCoord;
+  uniform float uFlipY;
+  varying vec2 vTexCoord;
+  
+  void main() {
+    gl_Position = vec4(aPosition, 0.0, 1.0);
+    vTexCoord = vec2(aTexCoord.x, mix(aTexCoord.y, 1.0 - aTexCoord.y, uFlipY));
+  }
+`;
+
+// Shared by every pass: the input texture, frame uniforms, a seeded hash for noise
+// and the lens model, so screen-space passes can tell which pixels the lens
+// pass pulled from outside the source. Lens uniforms are set from
+// LENS_UNIFORMS in passes.js.
+export const fsHeader = `
+  precision mediump float;
+  
+  uniform sampler2D uInput;
+  uniform float uTime;
+  uniform float uSeed; // offsets the hash, so each seed gives its own noise and glitches
+  uniform vec2 uTexelSize; // 1.0 / output size in pixels
+  uniform vec2 uPixelSize; // 1.0 / rendered size in pixels: the canvas size times the supersampling
+  uniform vec2 uAspect; // output size / shorter side, (1.0, 1.0) when square
+  
+  uniform float uLensModel; // 0 Brown-Conrady, 1 equidistant fisheye, 2 stereographic fisheye
+  uniform float uDistortion; // k1; negative for pincushion
+  uniform float uK2;
+  uniform float uK3;
+  uniform vec2 uTangential; // p1, p2
+  uniform vec2 uLensStrength; // per-axis strength, for anamorphic squeeze
+  uniform vec2 uLensCenter;
+  uniform float uFisheyeFocal; // focal length in square units
+  uniform float uZoom;
+  
+  varying vec2 vTexCoord;
+  
+  float random(vec2 st) {
+    return fract(sin(dot(st.xy + uSeed, vec2(12.9898,78.233))) * 43758.5453123);
+  }
+  
+  // Maps an output coordinate to the source coordinate it shows
+  vec2 lensMap(vec2 uv) {
+    // Work in square units so the distortion stays circular
+    vec2 p = (uv - uLensCenter) * uZoom * uAspect;
+    float r2 = dot(p, p);
+    vec2 displaced;
+    
+    if (uLensModel < 0.5) {
+      // Radial k1/k2/k3 plus tangential p1/p2 terms
+      float radial = 1.0 + uDistortion * r2 + uK2 * r2 * r2 + uK3 * r2 * r2 * r2;
+      vec2 tangential = vec2(
+        2.0 * uTangential.x * p.x * p.y + uTangential.y * (r2 + 2.0 * p.x * p.x),
+        uTangential.x * (r2 + 2.0 * p.y * p.y) + 2.0 * uTangential.y * p.x * p.y
+      );
+      displaced = p * radial + tangential;
+    } else {
+      // Fisheye: find the ray angle for this radius, then where a
+      // rectilinear source would show that ray
+      float r = sqrt(r2);
+      float theta = uLensModel < 1.5
+        ? r / uFisheyeFocal
+        : 2.0 * atan(r / (2.0 * uFisheyeFocal));
+      if (theta >= 1.5707) return vec2(-1.0, -1.0); // Behind the lens
+      displaced = r > 0.0 ? p * (uFisheyeFocal * tan(theta) / r) : p;
+    }
+    
+    displaced = p + (displaced - p) * uLensStrength;
+    return displaced / uAspect / uZoom + uLensCenter;
+  }
+  
+  bool inBounds(vec2 uv) {
+    return uv.x >= 0.0 && uv.x <= 1.0 && uv.y >= 0.0 && uv.y <= 1.0;
+  }
+`;
+
+// A pass's GLSL declares its own uniforms and defines `vec4 effect(vec2 uv)`,
+// which returns the color of the output pixel at `uv`.
+export const buildFragmentSource = (passSource) => `${fsHeader}
+${passSource}
+  void main() {
+    gl_FragColor = effect(vTexCoord);
+  }
+`;
@@ -0,0 +1,71 @@
+import { deflateSync, inflateSync, strFromU8, strToU8 } from 'fflate';
+import { PRESET_VERSION, parsePreset } from './presets';
+
+// --- Share Links ---
+// The settings travel in the URL hash as `#look=<version>.<data>`, where
+// <data> is the preset JSON, deflated and base64url-encoded. <version> names
+// this encoding; the JSON keeps its own preset version, so links go through
+// the same migrations and validation as preset files and can't carry values
+// the controls wouldn't allow.
+
+export const SHARE_LINK_VERSION = 1;
+
+const HASH_PREFIX = '#look=';
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  // Chunked, as spreading a long array into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (data) => {
+  const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+export const encodeSettings = (settings) => {
+  const json = JSON.stringify({ version: PRESET_VERSION, settings });
+  return `${SHARE_LINK_VERSION}.${toBase64Url(deflateSync(strToU8(json), { level: 9 }))}`;
+};
+
+// Returns `{ settings, warnings }` like `parsePreset`.
+// @throws Error when the data is damaged or from a newer version.
+export const decodeSettings = (encoded) => {
+  const separator = encoded.indexOf('.');
+  const version = Number(encoded.slice(0, separator));
+  if (separator < 1 || !Number.isInteger(version)) throw new Error('The link is not a settings link');
+  if (version > SHARE_LINK_VERSION) {
+    throw new Error(`The link was made by a newer version (link format ${version})`);
+  }
+  let json;
+  try {
+    json = strFromU8(inflateSync(fromBase64Url(encoded.slice(separator + 1))));
+  } catch {
+    throw new Error('The link is damaged');
+  }
+  const { settings, warnings } = parsePreset(json);
+  return { settings, warnings };
+};
+
+// `url` with its hash replaced by the encoded settings
+export const getShareUrl = (settings, url = window.location.href) =>
+  `${url.split('#')[0]}${HASH_PREFIX}${encodeSettings(settings)}`;
+
+export const hasSettingsHash = (hash = window.location.hash) => hash.startsWith(HASH_PREFIX);
+
+// Settings from a `#look=` hash, or null when there are none or they can't be
+// read. Replaced values are logged.
+export const readSettingsFromHash = (hash = window.location.hash) => {
+  if (!hasSettingsHash(hash)) return null;
+  try {
+    const { settings, warnings } = decodeSettings(hash.slice(HASH_PREFIX.length));
+    if (warnings.length > 0) console.warn('Link values replaced by defaults:', warnings);
+    return settings;
+  } catch (error) {
+    console.error('Could not read the settings link:', error);
+    return null;
+  }
+};
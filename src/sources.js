@@ -0,0 +1,129 @@
+import { drawBackground } from './background';
+import { drawText } from './textLayout';
+
+// --- Sources ---
+// A source owns a canvas at the output size and draws its content into it;
+// `element` is what BarrelRenderer uploads. Sources marked `dynamic` (video,
+// webcam) are redrawn via `update()` and re-uploaded by the renderer on every
+// frame, so the same shader pipeline runs over text, stills and footage.
+
+const createSourceCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const getMediaSize = (media) => ({
+  width: media.videoWidth || media.naturalWidth || media.width || 0,
+  height: media.videoHeight || media.naturalHeight || media.height || 0,
+});
+
+// Draws an image, video frame or canvas scaled to fit ('contain') or fill
+// ('cover') the target canvas, over the background (see background.js).
+export const drawMedia = (canvas, media, options) => {
+  const { mediaFit = 'contain' } = options;
+  const ctx = canvas.getContext('2d');
+  drawBackground(canvas, options);
+
+  const { width, height } = getMediaSize(media);
+  if (!width || !height) return; // Not loaded yet
+
+  const fitScale = mediaFit === 'cover'
+    ? Math.max(canvas.width / width, canvas.height / height)
+    : Math.min(canvas.width / width, canvas.height / height);
+  const drawWidth = width * fitScale;
+  const drawHeight = height * fitScale;
+  ctx.drawImage(media, (canvas.width - drawWidth) / 2, (canvas.height - drawHeight) / 2, drawWidth, drawHeight);
+};
+
+export const createTextSource = ({ width, height }) => {
+  const canvas = createSourceCanvas(width, height);
+  return {
+    type: 'text',
+    dynamic: false,
+    element: canvas,
+    setSize: (newWidth, newHeight) => {
+      canvas.width = newWidth;
+      canvas.height = newHeight;
+    },
+    draw: (text, options) => drawText(canvas, text, options),
+    dispose: () => {},
+  };
+};
+
+// `media` may be an <img>, ImageBitmap, <canvas>, <video> or a MediaStream
+// (e.g. a webcam); streams are played through a muted video element.
+export const createMediaSource = (media, { width, height }) => {
+  const canvas = createSourceCanvas(width, height);
+  let element = media;
+  let streamVideo = null;
+
+  if (typeof MediaStream !== 'undefined' && media instanceof MediaStream) {
+    streamVideo = document.createElement('video');
+    streamVideo.srcObject = media;
+    streamVideo.muted = true;
+    streamVideo.playsInline = true;
+    streamVideo.play().catch(error => console.error('Could not play stream:', error));
+    element = streamVideo;
+  }
+
+  const isVideo = typeof HTMLVideoElement !== 'undefined' && element instanceof HTMLVideoElement;
+  let drawOptions = {};
+
+  return {
+    type: streamVideo ? 'stream' : isVideo ? 'video' : 'image',
+    dynamic: isVideo,
+    element: canvas,
+    media: element,
+    setSize: (newWidth, newHeight) => {
+      canvas.width = newWidth;
+      canvas.height = newHeight;
+      drawMedia(canvas, element, drawOptions);
+    },
+    draw: (options) => {
+      drawOptions = options;
+      drawMedia(canvas, element, drawOptions);
+    },
+    // Called by the renderer before each frame of a dynamic source
+    update: () => drawMedia(canvas, element, drawOptions),
+    dispose: () => {
+      if (streamVideo) {
+        streamVideo.pause();
+        streamVideo.srcObject = null;
+      }
+    },
+  };
+};
+
+// Loads a dropped or picked file (or a URL) as an <img> or a looping, muted
+// <video>, resolved once it can be drawn.
+export const loadMediaFile = (file) => {
+  const isFile = typeof file !== 'string';
+  const url = isFile ? URL.createObjectURL(file) : file;
+  const isVideo = isFile ? file.type.startsWith('video/') : /\.(mp4|webm|ogv|mov)(\?|$)/i.test(url);
+  // A file that cannot be played or decoded is never handed out, so nothing
+  // else would release its URL
+  const revokeOnError = (error) => {
+    if (isFile) URL.revokeObjectURL(url);
+    throw error;
+  };
+
+  if (isVideo) {
+    const video = document.createElement('video');
+    video.src = url;
+    video.loop = true;
+    video.muted = true;
+    video.playsInline = true;
+    return video.play().then(() => video, revokeOnError);
+  }
+
+  const image = new Image();
+  image.src = url;
+  return image.decode().then(() => {
+    if (isFile) URL.revokeObjectURL(url);
+    return image;
+  }, revokeOnError);
+};
+
+export const openWebcam = () => navigator.mediaDevices.getUserMedia({ video: true, audio: false });
@@ -0,0 +1,38 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { loadMediaFile } from './sources';
+
+beforeEach(() => {
+  URL.createObjectURL = vi.fn(() => 'blob:test');
+  URL.revokeObjectURL = vi.fn();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  // jsdom has no decode to restore
+  delete HTMLImageElement.prototype.decode;
+});
+
+describe('loadMediaFile', () => {
+  it('releases the URL of a video that cannot be played', async () => {
+    vi.spyOn(HTMLMediaElement.prototype, 'play').mockRejectedValue(new Error('Unsupported codec'));
+    const file = new File([''], 'clip.webm', { type: 'video/webm' });
+    await expect(loadMediaFile(file)).rejects.toThrow('Unsupported codec');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:test');
+  });
+
+  it('releases the URL of an image that cannot be decoded', async () => {
+    HTMLImageElement.prototype.decode = vi.fn().mockRejectedValue(new Error('Broken image'));
+    const file = new File([''], 'photo.png', { type: 'image/png' });
+    await expect(loadMediaFile(file)).rejects.toThrow('Broken image');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:test');
+  });
+
+  it('keeps the URL of a playing video, which the caller releases', async () => {
+    vi.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue();
+    const file = new File([''], 'clip.webm', { type: 'video/webm' });
+    const video = await loadMediaFile(file);
+    expect(video.src).toBe('blob:test');
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,312 @@
+import { getBoldWeight, getFontString } from './fonts';
+import { drawBackground } from './background';
+import { isColor, toCssColor } from './color';
+import { getResolutionScale } from './helpers';
+
+// --- Text Layout ---
+// Lays out and draws the text source. The text may use a light markup:
+//   **bold**                   a heavier weight
+//   {color:#f00}word{/color}   any CSS color (see color.js); tags nest
+//   \*  \{  \\                 the character itself
+// Markup is not part of the text: `visibleLength` and the typing animation
+// count the characters of the plain text that `parseMarkup` returns.
+
+// Schema of the text style settings, in the format of pass params (see
+// passes.js), for the controls panel, preset validation and the timeline.
+export const TEXT_STYLE_PARAMS = [
+  {
+    key: 'textAlign',
+    label: 'Align',
+    type: 'select',
+    options: [
+      { value: 'left', label: 'Left' },
+      { value: 'center', label: 'Center' },
+      { value: 'right', label: 'Right' },
+      { value: 'justify', label: 'Justify' },
+    ],
+  },
+  { key: 'textPadding', label: 'Padding %', min: 0, max: 40, step: 1 },
+  { key: 'textStrokeWidth', label: 'Outline Width', min: 0, max: 20, step: 0.5 },
+  { key: 'textStrokeColor', label: 'Outline Color', type: 'color' },
+  {
+    key: 'textGradient',
+    label: 'Fill',
+    type: 'select',
+    options: [
+      { value: 'none', label: 'Solid' },
+      { value: 'vertical', label: 'Vertical Gradient' },
+      { value: 'horizontal', label: 'Horizontal Gradient' },
+    ],
+  },
+  { key: 'textGradientColor', label: 'Gradient Color', type: 'color' },
+  { key: 'textShadowColor', label: 'Shadow Color', type: 'color' },
+  { key: 'textShadowOpacity', label: 'Shadow Opacity', min: 0, max: 1, step: 0.05 },
+  { key: 'textShadowBlur', label: 'Shadow Blur', min: 0, max: 50, step: 0.5 },
+  { key: 'textShadowOffsetX', label: 'Shadow Offset X', min: -50, max: 50, step: 0.5 },
+  { key: 'textShadowOffsetY', label: 'Shadow Offset Y', min: -50, max: 50, step: 0.5 },
+];
+
+const COLOR_TAG = /\{color:([^{}]+)\}/y;
+const CLOSE_COLOR_TAG = '{/color}';
+const ESCAPABLE = new Set(['*', '{', '\\']);
+
+// Returns `{ plain, styles }`: the text without markup and, for each of its
+// characters, a `{ bold, color }` style (color null for the fill settings).
+// Consecutive characters with the same style share one style object.
+export const parseMarkup = (text) => {
+  let plain = '';
+  const styles = [];
+  let bold = false;
+  const colors = [];
+  let style = { bold, color: null };
+  const setStyle = () => {
+    style = { bold, color: colors.length > 0 ? colors[colors.length - 1] : null };
+  };
+
+  for (let i = 0; i < text.length;) {
+    if (text[i] === '\\' && ESCAPABLE.has(text[i + 1])) {
+      plain += text[i + 1];
+      styles.push(style);
+      i += 2;
+      continue;
+    }
+    if (text.startsWith('**', i)) {
+      bold = !bold;
+      setStyle();
+      i += 2;
+      continue;
+    }
+    if (colors.length > 0 && text.startsWith(CLOSE_COLOR_TAG, i)) {
+      colors.pop();
+      setStyle();
+      i += CLOSE_COLOR_TAG.length;
+      continue;
+    }
+    COLOR_TAG.lastIndex = i;
+    const match = COLOR_TAG.exec(text);
+    if (match && isColor(match[1])) {
+      colors.push(match[1].trim());
+      setStyle();
+      i += match[0].length;
+      continue;
+    }
+    plain += text[i];
+    styles.push(style);
+    i += 1;
+  }
+  return { plain, styles };
+};
+
+export const getPlainText = (text) => parseMarkup(text).plain;
+
+// Colors that do not parse paint black, as in drawBackground; the canvas
+// would throw on them as gradient stops
+const toPaint = color => (isColor(color) ? color : '#000000');
+
+// Calls `callback(start, end, style)` for each run of equally styled
+// characters in [start, end).
+const forEachRun = (styles, start, end, callback) => {
+  for (let runStart = start; runStart < end;) {
+    let runEnd = runStart + 1;
+    while (runEnd < end && styles[runEnd] === styles[runStart]) runEnd++;
+    callback(runStart, runEnd, styles[runStart]);
+    runStart = runEnd;
+  }
+};
+
+// Breaks the plain text into lines no wider than `maxWidth`, at spaces and
+// newlines. A line is `{ start, end, words, wrapped }` in plain text offsets;
+// `words` are the `{ start, end }` of its words and `wrapped` marks lines
+// that continue on the next one. A word wider than `maxWidth` gets a line
+// of its own.
+export const breakLines = (plain, measure, maxWidth) => {
+  const lines = [];
+  let paragraphStart = 0;
+  plain.split('\n').forEach((paragraph) => {
+    const words = Array.from(paragraph.matchAll(/\S+/g), match => ({
+      start: paragraphStart + match.index,
+      end: paragraphStart + match.index + match[0].length,
+    }));
+    let line = { start: paragraphStart, end: paragraphStart, words: [], wrapped: false };
+    words.forEach((word) => {
+      if (line.words.length > 0 && measure(line.start, word.end) > maxWidth) {
+        lines.push({ ...line, wrapped: true });
+        line = { start: word.start, end: word.start, words: [], wrapped: false };
+      }
+      line.words.push(word);
+      line.end = word.end;
+    });
+    // Trailing spaces stay on the last line of the paragraph
+    line.end = paragraphStart + paragraph.length;
+    lines.push(line);
+    paragraphStart += paragraph.length + 1;
+  });
+  return lines;
+};
+
+// Draws `text` on a 2D canvas, ready to be used as a renderer source.
+// Sizes (`fontSize`, `letterSpacing`, `textStrokeWidth`, shadow blur and offsets)
+// are in REFERENCE_SIZE pixels and scale with the canvas; `textPadding` is a
+// percentage of the width kept clear on each side, inside which lines wrap
+// and align. The font should be loaded first (see fonts.js).
+//
+// For typing animations, `visibleLength` draws only that many characters of
+// the plain text while laying out the whole of it, so lines keep their final
+// position as they fill in. `cursor` ('block' | 'underscore') is drawn after
+// the last visible character.
+export const drawText = (textCanvas, text, {
+  fontSize,
+  fontFamily = 'Times New Roman',
+  fontWeight = 700,
+  fontItalic = false,
+  letterSpacing = 0,
+  lineSpacing,
+  fontColor,
+  bgColor,
+  bgOpacity,
+  bgGradient,
+  bgGradientColor,
+  bgGradientAngle,
+  transparencyMode,
+  textAlign = 'center',
+  textPadding = 5,
+  textStrokeWidth = 0,
+  textStrokeColor = '#000000',
+  textGradient = 'none',
+  textGradientColor = '#FF00FF',
+  textShadowColor = '#000000',
+  textShadowOpacity = 0.5,
+  textShadowBlur = 4,
+  textShadowOffsetX = 2,
+  textShadowOffsetY = 2,
+  visibleLength,
+  cursor = null,
+}) => {
+  const textCtx = textCanvas.getContext('2d');
+  const scale = getResolutionScale(textCanvas.width, textCanvas.height);
+  const scaledFontSize = parseFloat(fontSize) * scale;
+  const { plain, styles } = parseMarkup(text);
+  const visibleEnd = Math.min(visibleLength ?? plain.length, plain.length);
+
+  drawBackground(textCanvas, { bgColor, bgOpacity, bgGradient, bgGradientColor, bgGradientAngle, transparencyMode });
+
+  // --- Layout ---
+  const fonts = {
+    regular: getFontString({ fontFamily, fontWeight, fontItalic, fontSize: scaledFontSize }),
+    bold: getFontString({ fontFamily, fontWeight: getBoldWeight(fontWeight), fontItalic, fontSize: scaledFontSize }),
+  };
+  const setFont = (style) => {
+    textCtx.font = style?.bold ? fonts.bold : fonts.regular;
+  };
+  textCtx.letterSpacing = `${parseFloat(letterSpacing) * scale}px`;
+  textCtx.textAlign = 'left';
+  textCtx.textBaseline = 'middle';
+
+  const measure = (start, end) => {
+    let width = 0;
+    forEachRun(styles, start, end, (runStart, runEnd, style) => {
+      setFont(style);
+      width += textCtx.measureText(plain.slice(runStart, runEnd)).width;
+    });
+    return width;
+  };
+
+  const padding = textCanvas.width * (parseFloat(textPadding) / 100);
+  const maxWidth = Math.max(0, textCanvas.width - padding * 2);
+  const lines = breakLines(plain, measure, maxWidth);
+  const lineHeight = scaledFontSize * parseFloat(lineSpacing);
+  const totalHeight = (lines.length - 1) * lineHeight;
+  const startY = (textCanvas.height - totalHeight) / 2;
+
+  // Each line's left edge, and for justified lines the space added per gap
+  const placed = lines.map((line, i) => {
+    const width = measure(line.start, line.end);
+    const justify = textAlign === 'justify' && line.wrapped && line.words.length > 1;
+    const offset = textAlign === 'right' ? maxWidth - width
+      : textAlign === 'center' ? (maxWidth - width) / 2
+      : 0;
+    return {
+      ...line,
+      x: padding + offset,
+      y: startY + i * lineHeight,
+      gap: justify ? (maxWidth - width) / (line.words.length - 1) : 0,
+      // Justified lines are drawn word by word
+      pieces: justify ? line.words : [line],
+    };
+  });
+
+  // X position of plain text offset `position` on `line`
+  const getX = (line, position) => {
+    const gaps = line.words.filter(word => word.start <= position).length - 1;
+    return line.x + measure(line.start, position) + Math.max(0, gaps) * line.gap;
+  };
+
+  // --- Drawing ---
+  const baseFill = textGradient === 'none' ? toPaint(fontColor) : (() => {
+    const gradient = textGradient === 'horizontal'
+      ? textCtx.createLinearGradient(padding, 0, padding + maxWidth, 0)
+      : textCtx.createLinearGradient(0, startY - scaledFontSize / 2, 0, startY + totalHeight + scaledFontSize / 2);
+    gradient.addColorStop(0, toPaint(fontColor));
+    gradient.addColorStop(1, toPaint(textGradientColor));
+    return gradient;
+  })();
+
+  const setShadow = (enabled) => {
+    textCtx.shadowColor = enabled ? toCssColor(toPaint(textShadowColor), textShadowOpacity) : 'transparent';
+    textCtx.shadowBlur = parseFloat(textShadowBlur) * scale;
+    textCtx.shadowOffsetX = parseFloat(textShadowOffsetX) * scale;
+    textCtx.shadowOffsetY = parseFloat(textShadowOffsetY) * scale;
+  };
+
+  // Draws the visible characters of every piece, run by run
+  const drawPieces = (stroke) => {
+    placed.forEach((line) => {
+      line.pieces.forEach((piece) => {
+        let x = getX(line, piece.start);
+        forEachRun(styles, piece.start, Math.min(piece.end, visibleEnd), (runStart, runEnd, style) => {
+          const runText = plain.slice(runStart, runEnd);
+          setFont(style);
+          if (stroke) {
+            textCtx.strokeText(runText, x, line.y);
+          } else {
+            textCtx.fillStyle = style.color ?? baseFill;
+            textCtx.fillText(runText, x, line.y);
+          }
+          x += textCtx.measureText(runText).width;
+        });
+      });
+    });
+  };
+
+  if (transparencyMode === 'text') {
+    textCtx.globalCompositeOperation = 'destination-out';
+  }
+
+  // The outline goes under the fill; the shadow is cast by whichever is drawn first
+  const strokeWidth = parseFloat(textStrokeWidth) * scale;
+  if (strokeWidth > 0) {
+    setShadow(true);
+    textCtx.strokeStyle = toPaint(textStrokeColor);
+    textCtx.lineWidth = strokeWidth * 2; // half of it is covered by the fill
+    textCtx.lineJoin = 'round';
+    drawPieces(true);
+  }
+  setShadow(strokeWidth <= 0);
+  drawPieces(false);
+
+  const cursorLine = cursor && placed.find(line => visibleEnd >= line.start && visibleEnd <= line.end);
+  if (cursorLine) {
+    const cursorX = getX(cursorLine, visibleEnd);
+    const cursorWidth = scaledFontSize * 0.5;
+    textCtx.fillStyle = baseFill;
+    if (cursor === 'underscore') {
+      textCtx.fillRect(cursorX, cursorLine.y + scaledFontSize * 0.35, cursorWidth, scaledFontSize * 0.08);
+    } else {
+      textCtx.fillRect(cursorX, cursorLine.y - scaledFontSize * 0.45, cursorWidth, scaledFontSize * 0.9);
+    }
+  }
+
+  textCtx.globalCompositeOperation = 'source-over';
+  textCtx.letterSpacing = '0px';
+  setShadow(false);
+};
@@ -0,0 +1,62 @@
+import { createCanvas } from '@napi-rs/canvas';
+import { describe, expect, it } from 'vitest';
+import { breakLines, drawText, getPlainText, parseMarkup } from './textLayout';
+
+// Every character is 10px wide
+const measure = (start, end) => (end - start) * 10;
+
+describe('breakLines', () => {
+  it('wraps at spaces and marks wrapped lines', () => {
+    expect(breakLines('aa bb cc', measure, 50)).toEqual([
+      { start: 0, end: 5, words: [{ start: 0, end: 2 }, { start: 3, end: 5 }], wrapped: true },
+      { start: 6, end: 8, words: [{ start: 6, end: 8 }], wrapped: false },
+    ]);
+  });
+
+  it('starts a line at every newline', () => {
+    const lines = breakLines('one\n\ntwo', measure, 1000);
+    expect(lines.map(({ start, end }) => [start, end])).toEqual([[0, 3], [4, 4], [5, 8]]);
+    expect(lines[1].words).toEqual([]);
+  });
+
+  it('keeps a word wider than the line whole', () => {
+    const lines = breakLines('a enormous b', measure, 30);
+    expect(lines.map(({ start, end }) => 'a enormous b'.slice(start, end).trim())).toEqual(['a', 'enormous', 'b']);
+  });
+
+  it('leaves trailing spaces on the last line of a paragraph', () => {
+    expect(breakLines('ab  ', measure, 1000)).toEqual([
+      { start: 0, end: 4, words: [{ start: 0, end: 2 }], wrapped: false },
+    ]);
+  });
+});
+
+describe('parseMarkup', () => {
+  it('strips bold and color tags and styles each character', () => {
+    const { plain, styles } = parseMarkup('a **b** {color:red}c{/color}');
+    expect(plain).toBe('a b c');
+    expect(styles[2]).toEqual({ bold: true, color: null });
+    expect(styles[4]).toEqual({ bold: false, color: 'red' });
+    expect(getPlainText('**x**')).toBe('x');
+  });
+});
+
+describe('drawText', () => {
+  it('paints invalid text colors black instead of throwing', () => {
+    const canvas = createCanvas(256, 256);
+    const options = {
+      fontSize: 120,
+      lineSpacing: 1.2,
+      fontColor: 'not a color',
+      bgColor: '#ffffff',
+      bgOpacity: 1,
+      textStrokeWidth: 1,
+      textStrokeColor: '#12',
+      textShadowColor: 'nope',
+    };
+    expect(() => drawText(canvas, 'W', options)).not.toThrow();
+    expect(() => drawText(canvas, 'W', { ...options, textGradient: 'vertical', textGradientColor: '#ggg' })).not.toThrow();
+    const { data } = canvas.getContext('2d').getImageData(0, 0, 256, 256);
+    expect(Math.min(...data.filter((_, i) => i % 4 === 0))).toBe(0);
+  });
+});
@@ -0,0 +1,101 @@
+import { BACKGROUND_PARAMS } from './background';
+import { mixColors } from './color';
+import { getRegisteredPasses } from './passes';
+import { TEXT_STYLE_PARAMS } from './textLayout';
+
+// --- Keyframe Timeline ---
+// `settings.timeline` animates settings over a clip:
+//   { duration, fps, tracks: { [settingKey]: [{ time, value, easing }] } }
+// Keyframe times are in seconds. A segment uses the easing of the keyframe it
+// starts from; before the first and after the last keyframe the value holds.
+
+export const DEFAULT_TIMELINE = Object.freeze({ duration: 2, fps: 24, tracks: {} });
+
+export const EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - Math.pow(1 - t, 3),
+  easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  step: t => (t < 1 ? 0 : 1),
+};
+
+const interpolate = (from, to, t) => {
+  if (typeof from === 'number' && typeof to === 'number') {
+    return from + (to - from) * t;
+  }
+  const color = mixColors(from, to, t);
+  if (color) return color;
+  return t < 1 ? from : to; // Anything else switches at the next keyframe
+};
+
+const isAnimatable = param => (param.type ?? 'range') === 'range' || param.type === 'color';
+
+// Settings that can be keyframed: numeric and color parameters of the
+// registered passes plus the text and background styling, as `[{ key, label }]`.
+export const getAnimatableParams = () => [
+  { key: 'fontSize', label: 'Font Size' },
+  { key: 'letterSpacing', label: 'Letter Spacing' },
+  { key: 'lineSpacing', label: 'Line Spacing' },
+  { key: 'fontColor', label: 'Font Color' },
+  { key: 'bgColor', label: 'Background' },
+  ...BACKGROUND_PARAMS
+    .filter(isAnimatable)
+    .map(param => ({ key: param.key, label: `Background: ${param.label}` })),
+  ...TEXT_STYLE_PARAMS
+    .filter(isAnimatable)
+    .map(param => ({ key: param.key, label: `Text: ${param.label}` })),
+  ...getRegisteredPasses().flatMap(pass => pass.params
+    .filter(isAnimatable)
+    .map(param => ({ key: param.key, label: `${pass.label}: ${param.label}` }))),
+];
+
+export const hasKeyframes = (timeline) => Boolean(timeline) &&
+  Object.values(timeline.tracks).some(keyframes => keyframes.length > 0);
+
+// Value of one track at `time`.
+export const evaluateTrack = (keyframes, time) => {
+  if (time <= keyframes[0].time) return keyframes[0].value;
+  for (let i = 1; i < keyframes.length; i++) {
+    const from = keyframes[i - 1];
+    const to = keyframes[i];
+    if (time < to.time) {
+      const ease = EASINGS[from.easing] ?? EASINGS.linear;
+      return interpolate(from.value, to.value, ease((time - from.time) / (to.time - from.time)));
+    }
+  }
+  return keyframes[keyframes.length - 1].value;
+};
+
+// Returns `settings` with every keyframed setting replaced by its value at
+// `time` seconds. Settings without a timeline come back unchanged.
+export const evaluateTimeline = (settings, time) => {
+  const { timeline } = settings;
+  if (!hasKeyframes(timeline)) return settings;
+
+  const animated = { ...settings };
+  Object.entries(timeline.tracks).forEach(([key, keyframes]) => {
+    if (keyframes.length > 0) animated[key] = evaluateTrack(keyframes, time);
+  });
+  return animated;
+};
+
+// Adds a keyframe, replacing one already at the same time (to the frame).
+export const setKeyframe = (timeline, key, keyframe) => {
+  const frameTime = 1 / timeline.fps;
+  const keyframes = (timeline.tracks[key] ?? [])
+    .filter(existing => Math.abs(existing.time - keyframe.time) >= frameTime / 2);
+  const track = [...keyframes, { easing: 'linear', ...keyframe }].sort((a, b) => a.time - b.time);
+  return { ...timeline, tracks: { ...timeline.tracks, [key]: track } };
+};
+
+export const updateKeyframe = (timeline, key, index, patch) => {
+  const track = timeline.tracks[key].map((keyframe, i) => (i === index ? { ...keyframe, ...patch } : keyframe));
+  return { ...timeline, tracks: { ...timeline.tracks, [key]: track } };
+};
+
+export const removeKeyframe = (timeline, key, index) => {
+  const track = timeline.tracks[key].filter((_, i) => i !== index);
+  const tracks = { ...timeline.tracks, [key]: track };
+  if (track.length === 0) delete tracks[key];
+  return { ...timeline, tracks };
+};
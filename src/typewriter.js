@@ -0,0 +1,106 @@
+import { getPlainText } from './textLayout';
+
+// --- Typewriter Engine ---
+// Turns the text into a schedule of typing steps. A step only says how many
+// characters of the text are visible from its `time` (seconds) on; drawText
+// lays out the full text and draws that prefix, so lines never reflow while
+// they are typed or deleted. Text markup is skipped: only the plain text is
+// typed.
+//
+// Reads these settings:
+//   typingUnit           'character' | 'word' | 'line' revealed per step
+//   typingFrameDuration  ms per step
+//   typingJitter         0..1, random variation of each step's duration
+//   typingEndPause       ms to hold the full text
+//   typingDeleteMode     'none' | 'backspace' | 'clear' after the pause
+//   typingCursor         'none' | 'block' | 'underscore'
+//   typingLoop           whether the animation starts over
+//   seed                 varies the jitter
+
+// Seconds per cursor blink phase; the cursor stays solid this long after a step.
+const CURSOR_BLINK = 0.53;
+
+// Small seeded PRNG (mulberry32), so the jitter is identical in the preview
+// and every export.
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Visible lengths after each step of typing `text` unit by unit.
+export const getRevealPoints = (text, unit) => {
+  let points;
+  if (unit === 'character') {
+    // Code points, so emoji and other surrogate pairs appear whole
+    let length = 0;
+    points = Array.from(text, char => (length += char.length));
+  } else {
+    const pattern = unit === 'line' ? /[^\n]+/g : /\S+/g;
+    points = Array.from(text.matchAll(pattern), match => match.index + match[0].length);
+  }
+  // Trailing whitespace arrives with the last step
+  if (points.length === 0) return [text.length];
+  points[points.length - 1] = text.length;
+  return points;
+};
+
+// Returns `{ steps: [{ time, length }], duration }` for one run of the
+// animation: typing, the end pause, then the optional deletion.
+export const createTypingSchedule = (text, {
+  typingUnit = 'word',
+  typingFrameDuration = 500,
+  typingEndPause = 1500,
+  typingJitter = 0,
+  typingDeleteMode = 'none',
+  seed = 0,
+} = {}) => {
+  const random = createRandom(seed + 1);
+  const stepDuration = (speed = 1) =>
+    (typingFrameDuration / 1000 / speed) * (1 + typingJitter * (random() * 2 - 1));
+
+  const points = getRevealPoints(getPlainText(text), typingUnit);
+  const steps = [];
+  let time = 0;
+  const addStep = (length, duration) => {
+    steps.push({ time, length });
+    time += duration;
+  };
+
+  points.forEach((length, i) => {
+    addStep(length, i === points.length - 1 ? typingEndPause / 1000 : stepDuration());
+  });
+
+  if (typingDeleteMode === 'backspace') {
+    // Deleting runs at twice the typing speed, back through the same units
+    points.slice(0, -1).reverse().forEach(length => addStep(length, stepDuration(2)));
+    addStep(0, stepDuration());
+  } else if (typingDeleteMode === 'clear') {
+    addStep(0, stepDuration());
+  }
+
+  return { steps, duration: time };
+};
+
+// What to draw at `time` seconds: options for drawText.
+export const getTypingState = (schedule, time, { typingCursor = 'none', typingLoop = true } = {}) => {
+  const { steps, duration } = schedule;
+  const localTime = typingLoop && duration > 0 ? time % duration : Math.min(time, duration);
+
+  let step = steps[0];
+  for (let i = 1; i < steps.length && steps[i].time <= localTime; i++) {
+    step = steps[i];
+  }
+
+  const sinceStep = localTime - step.time;
+  const cursorOn = sinceStep < CURSOR_BLINK || Math.floor(localTime / CURSOR_BLINK) % 2 === 0;
+  return {
+    visibleLength: step.length,
+    cursor: typingCursor !== 'none' && cursorOn ? typingCursor : null,
+  };
+};
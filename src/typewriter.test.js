@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { createTypingSchedule, getRevealPoints, getTypingState } from './typewriter';
+
+describe('getRevealPoints', () => {
+  it('reveals whole words, with trailing space in the last step', () => {
+    expect(getRevealPoints('hi there  you ', 'word')).toEqual([2, 8, 14]);
+  });
+
+  it('reveals characters by code point', () => {
+    expect(getRevealPoints('a😀b', 'character')).toEqual([1, 3, 4]);
+  });
+
+  it('reveals lines', () => {
+    expect(getRevealPoints('one\ntwo', 'line')).toEqual([3, 7]);
+  });
+
+  it('has a single step for empty text', () => {
+    expect(getRevealPoints('', 'word')).toEqual([0]);
+  });
+});
+
+describe('createTypingSchedule', () => {
+  const settings = { typingUnit: 'word', typingFrameDuration: 500, typingEndPause: 1000 };
+
+  it('types each unit, then holds for the end pause', () => {
+    expect(createTypingSchedule('one two', settings)).toEqual({
+      steps: [{ time: 0, length: 3 }, { time: 0.5, length: 7 }],
+      duration: 1.5,
+    });
+  });
+
+  it('types the plain text of markup', () => {
+    const { steps } = createTypingSchedule('**one** two', settings);
+    expect(steps.map(step => step.length)).toEqual([3, 7]);
+  });
+
+  it('backspaces at twice the typing speed', () => {
+    expect(createTypingSchedule('one two', { ...settings, typingDeleteMode: 'backspace' })).toEqual({
+      steps: [{ time: 0, length: 3 }, { time: 0.5, length: 7 }, { time: 1.5, length: 3 }, { time: 1.75, length: 0 }],
+      duration: 2.25,
+    });
+  });
+
+  it('clears in one step', () => {
+    const { steps } = createTypingSchedule('one two', { ...settings, typingDeleteMode: 'clear' });
+    expect(steps.map(step => step.length)).toEqual([3, 7, 0]);
+  });
+
+  it('jitters reproducibly per seed', () => {
+    const jittered = { ...settings, typingUnit: 'character', typingJitter: 0.5 };
+    const first = createTypingSchedule('typing', { ...jittered, seed: 3 });
+    expect(createTypingSchedule('typing', { ...jittered, seed: 3 })).toEqual(first);
+    expect(createTypingSchedule('typing', { ...jittered, seed: 4 })).not.toEqual(first);
+    first.steps.slice(1).forEach((step, i) => {
+      const duration = step.time - first.steps[i].time;
+      expect(duration).toBeGreaterThanOrEqual(0.25);
+      expect(duration).toBeLessThanOrEqual(0.75);
+    });
+  });
+});
+
+describe('getTypingState', () => {
+  const schedule = createTypingSchedule('one two', { typingUnit: 'word', typingFrameDuration: 500, typingEndPause: 1000 });
+
+  it('shows the step at the given time', () => {
+    expect(getTypingState(schedule, 0.2).visibleLength).toBe(3);
+    expect(getTypingState(schedule, 0.6).visibleLength).toBe(7);
+  });
+
+  it('loops, or holds the end when not looping', () => {
+    expect(getTypingState(schedule, 1.7).visibleLength).toBe(3);
+    expect(getTypingState(schedule, 1.7, { typingLoop: false }).visibleLength).toBe(7);
+  });
+
+  it('shows the cursor right after a step', () => {
+    expect(getTypingState(schedule, 0.6, { typingCursor: 'block' }).cursor).toBe('block');
+    expect(getTypingState(schedule, 0.6).cursor).toBeNull();
+  });
+});
@@ -0,0 +1,207 @@
+import { Muxer as WebMMuxer, ArrayBufferTarget as WebMTarget } from 'webm-muxer';
+import { Muxer as MP4Muxer, ArrayBufferTarget as MP4Target } from 'mp4-muxer';
+
+// --- Video Encoder ---
+// Encodes frames drawn on a canvas into a WebM or MP4 file entirely in the
+// browser. Frames are handed over one at a time with explicit timestamps, so
+// the result doesn't depend on how fast they are rendered.
+//
+// WebCodecs is used where available, with the chunks muxed by webm-muxer or
+// mp4-muxer. Elsewhere video falls back to MediaRecorder, which can only
+// record the canvas in real time: each frame is shown for 1/fps seconds, so
+// the export takes as long as the clip and frames that render slower than
+// that stutter. `isVideoRealTime()` tells which path is taken.
+
+// Codec strings tried in order of preference. `muxerCodec` names the codec
+// for the container.
+const VIDEO_CODECS = {
+  webm: [
+    { codec: 'vp09.00.10.08', muxerCodec: 'V_VP9' },
+    { codec: 'vp8', muxerCodec: 'V_VP8' },
+  ],
+  mp4: [
+    { codec: 'avc1.640034', muxerCodec: 'avc' }, // High, level 5.2 for 4K
+    { codec: 'avc1.4d0028', muxerCodec: 'avc' }, // Main
+    { codec: 'avc1.42001f', muxerCodec: 'avc' }, // Baseline
+  ],
+};
+
+export const VIDEO_FORMATS = {
+  webm: { label: 'WebM', mimeType: 'video/webm', extension: 'webm' },
+  mp4: { label: 'MP4 (H.264)', mimeType: 'video/mp4', extension: 'mp4' },
+};
+
+// Seconds between key frames.
+const KEY_FRAME_INTERVAL = 2;
+
+// Frames allowed to wait in the encoder before `addFrame` waits for it.
+const MAX_QUEUED_FRAMES = 8;
+
+const hasWebCodecs = () => typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+
+const getRecorderMimeType = (format) => {
+  if (typeof MediaRecorder === 'undefined') return null;
+  const candidates = format === 'webm'
+    ? ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    : ['video/mp4;codecs=avc1', 'video/mp4'];
+  return candidates.find(type => MediaRecorder.isTypeSupported(type)) ?? null;
+};
+
+// Finds the first codec of `format` the browser can encode with these options.
+const findEncoderConfig = async (format, { width, height, fps, bitrate, alpha }) => {
+  for (const { codec, muxerCodec } of VIDEO_CODECS[format]) {
+    const config = {
+      codec,
+      width,
+      height,
+      bitrate,
+      framerate: fps,
+      ...(alpha && { alpha: 'keep' }),
+      ...(format === 'mp4' && { avc: { format: 'avc' } }),
+    };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) return { config, muxerCodec };
+  }
+  return null;
+};
+
+export const isVideoFormatSupported = (format) => hasWebCodecs() || Boolean(getRecorderMimeType(format));
+
+export const isVideoRealTime = () => !hasWebCodecs();
+
+// WebCodecs path: returns `{ addFrame, finish, cancel }`.
+const createWebCodecsEncoder = async (format, options) => {
+  const { width, height, fps, alpha, signal } = options;
+  const found = await findEncoderConfig(format, options);
+  if (!found) {
+    throw new Error(`This browser cannot encode ${VIDEO_FORMATS[format].label} at ${width}×${height}`);
+  }
+
+  const target = format === 'webm' ? new WebMTarget() : new MP4Target();
+  const muxer = format === 'webm'
+    ? new WebMMuxer({ target, video: { codec: found.muxerCodec, width, height, frameRate: fps, alpha } })
+    : new MP4Muxer({ target, video: { codec: found.muxerCodec, width, height, frameRate: fps }, fastStart: 'in-memory' });
+
+  let encodeError = null;
+  let stopWaiting = null; // rejects a pending waitForDequeue
+  const encoder = new VideoEncoder({
+    output: (chunk, metadata) => muxer.addVideoChunk(chunk, metadata),
+    error: (error) => {
+      encodeError = error;
+      stopWaiting?.(error);
+    },
+  });
+  encoder.configure(found.config);
+
+  const frameDuration = 1e6 / fps; // microseconds
+  const keyFrameEvery = Math.max(1, Math.round(fps * KEY_FRAME_INTERVAL));
+  let frameIndex = 0;
+
+  // Waits for the encoder to take a frame off its queue. A failed or closed
+  // encoder never does, so its error, cancel() and `signal` end the wait too.
+  const waitForDequeue = () => new Promise((resolve, reject) => {
+    const settle = callback => (value) => {
+      encoder.removeEventListener('dequeue', onDequeue);
+      signal?.removeEventListener('abort', onAbort);
+      stopWaiting = null;
+      callback(value);
+    };
+    const onDequeue = settle(resolve);
+    const onAbort = settle(() => reject(signal.reason));
+    stopWaiting = settle(reject);
+    encoder.addEventListener('dequeue', onDequeue);
+    signal?.addEventListener('abort', onAbort);
+  });
+
+  return {
+    addFrame: async (canvas) => {
+      if (encodeError) throw encodeError;
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round(frameIndex * frameDuration),
+        duration: Math.round(frameDuration),
+        alpha: alpha ? 'keep' : 'discard',
+      });
+      encoder.encode(frame, { keyFrame: frameIndex % keyFrameEvery === 0 });
+      frame.close();
+      frameIndex++;
+      while (encoder.encodeQueueSize > MAX_QUEUED_FRAMES) {
+        signal?.throwIfAborted();
+        if (encodeError) throw encodeError;
+        await waitForDequeue();
+      }
+    },
+    finish: async () => {
+      await encoder.flush();
+      encoder.close();
+      if (encodeError) throw encodeError;
+      muxer.finalize();
+      return new Blob([target.buffer], { type: VIDEO_FORMATS[format].mimeType });
+    },
+    cancel: () => {
+      if (encoder.state !== 'closed') encoder.close();
+      stopWaiting?.(new DOMException('Video encoding was cancelled', 'AbortError'));
+    },
+  };
+};
+
+// MediaRecorder path, real time only: each frame is shown for 1/fps seconds.
+const createRecorderEncoder = (format, canvas, { fps, bitrate }) => {
+  const mimeType = getRecorderMimeType(format);
+  if (!mimeType) throw new Error(`This browser cannot record ${VIDEO_FORMATS[format].label}`);
+
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+  const chunks = [];
+  recorder.ondataavailable = (e) => chunks.push(e.data);
+  recorder.start();
+
+  const stopTracks = () => stream.getTracks().forEach(t => t.stop());
+
+  return {
+    addFrame: async () => {
+      track.requestFrame();
+      await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+    },
+    finish: () => new Promise((resolve) => {
+      recorder.onstop = () => {
+        stopTracks();
+        resolve(new Blob(chunks, { type: VIDEO_FORMATS[format].mimeType }));
+      };
+      recorder.stop();
+    }),
+    cancel: () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+      stopTracks();
+    },
+  };
+};
+
+// Creates an encoder for frames drawn on `canvas`. Call `addFrame(canvas)`
+// after drawing each frame, then `finish()` for the file as a Blob, or
+// `cancel()` to abandon it. `bitrate` is in bits per second; `alpha` keeps
+// transparency, which only WebM supports. Aborting `signal` rejects an
+// `addFrame` that waits for the encoder.
+export const createVideoEncoder = async (canvas, {
+  format = 'webm',
+  fps = 30,
+  bitrate = 8e6,
+  alpha = false,
+  signal,
+} = {}) => {
+  if (!VIDEO_FORMATS[format]) throw new Error(`Unknown video format: ${format}`);
+  const options = {
+    width: canvas.width,
+    height: canvas.height,
+    fps,
+    bitrate,
+    alpha: alpha && format === 'webm',
+    signal,
+  };
+  if (format === 'mp4' && (options.width % 2 || options.height % 2)) {
+    throw new Error('MP4 export needs an even width and height');
+  }
+  return hasWebCodecs()
+    ? createWebCodecsEncoder(format, options)
+    : createRecorderEncoder(format, canvas, options);
+};
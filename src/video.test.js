@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createVideoEncoder, isVideoRealTime } from './video';
+
+// A WebCodecs encoder that accepts every frame into its queue and never takes
+// one off, as a stalled or failing hardware encoder does
+let encoders;
+
+class StalledVideoEncoder extends EventTarget {
+  static isConfigSupported = async config => ({ supported: true, config });
+
+  constructor({ error }) {
+    super();
+    this.reportError = error;
+    this.state = 'unconfigured';
+    this.encodeQueueSize = 0;
+    encoders.push(this);
+  }
+
+  configure() { this.state = 'configured'; }
+  encode() { this.encodeQueueSize++; }
+  close() { this.state = 'closed'; }
+
+  fail(error) {
+    this.state = 'closed';
+    this.reportError(error);
+  }
+}
+
+class FakeVideoFrame {
+  close() {}
+}
+
+const canvas = { width: 64, height: 64 };
+
+// Adds frames until one waits for the encoder, and returns that one's promise
+const startWaiting = async (encoder) => {
+  for (let i = 0; i < 8; i++) await encoder.addFrame(canvas);
+  const waiting = encoder.addFrame(canvas);
+  expect(encoders[0].encodeQueueSize).toBe(9);
+  return { waiting };
+};
+
+beforeEach(() => {
+  encoders = [];
+  vi.stubGlobal('VideoEncoder', StalledVideoEncoder);
+  vi.stubGlobal('VideoFrame', FakeVideoFrame);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('createVideoEncoder', () => {
+  it('encodes frame by frame where WebCodecs exists', () => {
+    expect(isVideoRealTime()).toBe(false);
+  });
+
+  it('stops waiting for a full queue when the encoder fails', async () => {
+    const encoder = await createVideoEncoder(canvas);
+    const { waiting } = await startWaiting(encoder);
+    encoders[0].fail(new Error('GPU hung'));
+    await expect(waiting).rejects.toThrow('GPU hung');
+  });
+
+  it('stops waiting for a full queue when the export is aborted', async () => {
+    const controller = new AbortController();
+    const encoder = await createVideoEncoder(canvas, { signal: controller.signal });
+    const { waiting } = await startWaiting(encoder);
+    controller.abort();
+    await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('stops waiting for a full queue when cancelled', async () => {
+    const encoder = await createVideoEncoder(canvas);
+    const { waiting } = await startWaiting(encoder);
+    encoder.cancel();
+    await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+    expect(encoders[0].state).toBe('closed');
+  });
+});
@@ -0,0 +1,113 @@
+import { canvasToBlob } from './helpers';
+
+// --- Animated WebP Encoder ---
+// Each frame is encoded by the browser's own WebP encoder (`canvas.toBlob`),
+// then its bitstream chunks (ALPH + VP8, or VP8L) are wrapped in an ANMF
+// frame of an extended-format WebP. Alpha is kept at full 8 bits.
+
+const FLAG_ALPHA = 0x10;
+const FLAG_ANIMATION = 0x02;
+
+const fourCC = (type) => Array.from(type, char => char.charCodeAt(0));
+
+// Splits a RIFF/WEBP file into `[{ type, data }]`.
+const readChunks = (buffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  if (String.fromCharCode(...bytes.subarray(8, 12)) !== 'WEBP') {
+    throw new Error('This browser cannot encode WebP images');
+  }
+  const chunks = [];
+  for (let offset = 12; offset + 8 <= buffer.byteLength;) {
+    const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const size = view.getUint32(offset + 4, true);
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + size) });
+    offset += 8 + size + (size % 2); // chunks are padded to an even size
+  }
+  return chunks;
+};
+
+const createChunk = (type, data) => {
+  const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+  chunk.set(fourCC(type), 0);
+  new DataView(chunk.buffer).setUint32(4, data.length, true);
+  chunk.set(data, 8);
+  return chunk;
+};
+
+const setUint24 = (bytes, offset, value) => {
+  bytes[offset] = value & 0xFF;
+  bytes[offset + 1] = (value >> 8) & 0xFF;
+  bytes[offset + 2] = (value >> 16) & 0xFF;
+};
+
+const concat = (arrays) => {
+  const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  arrays.forEach((array) => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+};
+
+// Returns `{ addFrame, finish, cancel }`: call `addFrame(canvas)` after
+// drawing each frame and `finish()` for the file as a Blob. Every frame lasts
+// 1/fps seconds; `loop: false` plays the animation once. `quality` (0..1) is
+// passed to the browser's encoder.
+export const createWebpEncoder = ({ fps = 24, loop = true, quality = 1 } = {}) => {
+  const frames = [];
+  let width = 0;
+  let height = 0;
+  let hasAlpha = false;
+
+  return {
+    addFrame: async (canvas) => {
+      const blob = await canvasToBlob(canvas, 'image/webp', quality);
+      if (blob.type !== 'image/webp') throw new Error('This browser cannot encode WebP images');
+      const chunks = readChunks(await blob.arrayBuffer());
+      const bitstream = chunks.filter(chunk => ['ALPH', 'VP8 ', 'VP8L'].includes(chunk.type));
+      hasAlpha = hasAlpha || bitstream.some(chunk => chunk.type !== 'VP8 ');
+      width = canvas.width;
+      height = canvas.height;
+      frames.push(concat(bitstream.map(chunk => createChunk(chunk.type, chunk.data))));
+    },
+    finish: () => {
+      if (frames.length === 0) throw new Error('No frames were added');
+
+      const vp8x = new Uint8Array(10);
+      vp8x[0] = FLAG_ANIMATION | (hasAlpha ? FLAG_ALPHA : 0);
+      setUint24(vp8x, 4, width - 1);
+      setUint24(vp8x, 7, height - 1);
+
+      // Background color (transparent) and loop count (0 = forever)
+      const anim = new Uint8Array(6);
+      new DataView(anim.buffer).setUint16(4, loop ? 0 : 1, true);
+
+      // Durations are in whole milliseconds; rounding the running total keeps
+      // the clip length exact.
+      const anmfs = frames.map((frame, index) => {
+        const header = new Uint8Array(16);
+        setUint24(header, 6, width - 1);
+        setUint24(header, 9, height - 1);
+        setUint24(header, 12, Math.round(((index + 1) * 1000) / fps) - Math.round((index * 1000) / fps));
+        header[15] = 0x02; // don't blend, so transparent pixels replace the last frame
+        return createChunk('ANMF', concat([header, frame]));
+      });
+
+      const body = concat([
+        new Uint8Array(fourCC('WEBP')),
+        createChunk('VP8X', vp8x),
+        createChunk('ANIM', anim),
+        ...anmfs,
+      ]);
+      const riffHeader = new Uint8Array(8);
+      riffHeader.set(fourCC('RIFF'), 0);
+      new DataView(riffHeader.buffer).setUint32(4, body.length, true);
+      return new Blob([riffHeader, body], { type: 'image/webp' });
+    },
+    cancel: () => {
+      frames.length = 0;
+    },
+  };
+};
@@ -0,0 +1,57 @@
+// Types of the framework-agnostic `react-barrel-distortion/core` entry.
+export {
+  BarrelRenderer,
+  Canvas2DRenderer,
+  createRenderer,
+  RendererError,
+  isRendererError,
+  DEFAULT_SETTINGS,
+  OUTPUT_SIZE_PRESETS,
+  vsSource,
+  fsHeader,
+  buildFragmentSource,
+  BUILT_IN_PASSES,
+  DEFAULT_PASSES,
+  LENS_UNIFORMS,
+  registerPass,
+  getPass,
+  getRegisteredPasses,
+  getPassDefaults,
+  getFontString,
+  getBoldWeight,
+  compileShader,
+  hexToRgb,
+  REFERENCE_SIZE,
+  getResolutionScale,
+  NAMED_COLORS,
+  parseColor,
+  isColor,
+  formatColor,
+  toHexColor,
+  toCssColor,
+  mixColors,
+  BACKGROUND_PARAMS,
+  drawBackground,
+  getClearColor,
+  hasTransparency,
+  TEXT_STYLE_PARAMS,
+  parseMarkup,
+  getPlainText,
+  breakLines,
+  drawText,
+  DEFAULT_TIMELINE,
+  EASINGS,
+  getAnimatableParams,
+  hasKeyframes,
+  evaluateTrack,
+  evaluateTimeline,
+  getRevealPoints,
+  createTypingSchedule,
+  getTypingState,
+  PRESET_VERSION,
+  validateSettings,
+  createPreset,
+  parsePreset,
+  getBuiltInPresets,
+} from './index';
+export type * from './index';
@@ -0,0 +1,806 @@
+import type { CSSProperties, ReactNode, Ref, JSX } from 'react';
+
+export type TransparencyMode = 'normal' | 'text' | 'background';
+
+export type MediaFit = 'contain' | 'cover';
+
+export type BackgroundGradient = 'none' | 'linear' | 'radial';
+
+/** Anything that can replace the text as the distorted source. */
+export type BarrelMedia = HTMLImageElement | HTMLVideoElement | HTMLCanvasElement | ImageBitmap | MediaStream;
+
+/** Every effect parameter, shaped like `DEFAULT_SETTINGS`. */
+export interface BarrelDistortionSettings {
+  /** Output width in pixels. */
+  width: number;
+  /** Output height in pixels. */
+  height: number;
+  /** May use the markup of `parseMarkup`: **bold** and {color:red}…{/color}. */
+  text: string;
+  /** In pixels of a 512px square; scales with the shorter output side. */
+  fontSize: number;
+  /** An installed family, a generic one such as 'monospace', or one registered with `loadFontFile`. */
+  fontFamily: string;
+  /** 100, 200 ... 900. */
+  fontWeight: number;
+  fontItalic: boolean;
+  /** Extra space between characters, scaled like `fontSize`. */
+  letterSpacing: number;
+  lineSpacing: number;
+  /** Colors are CSS color strings; see `parseColor`. */
+  fontColor: string;
+  bgColor: string;
+  transparencyMode: TransparencyMode;
+  /** 0..1, multiplied into the alpha of the background colors. */
+  bgOpacity: number;
+  /** Fill from `bgColor` to `bgGradientColor`, or a solid `bgColor`. */
+  bgGradient: BackgroundGradient;
+  bgGradientColor: string;
+  /** Direction of the linear gradient in degrees, as in CSS: 180 runs top to bottom. */
+  bgGradientAngle: number;
+  textAlign: 'left' | 'center' | 'right' | 'justify';
+  /** Percent of the width kept clear on each side. */
+  textPadding: number;
+  /** Outline width in pixels of a 512px square; 0 for none. */
+  textStrokeWidth: number;
+  textStrokeColor: string;
+  /** Fill from `fontColor` to `textGradientColor`, or a solid `fontColor`. */
+  textGradient: 'none' | 'vertical' | 'horizontal';
+  textGradientColor: string;
+  textShadowColor: string;
+  textShadowOpacity: number;
+  /** Blur and offsets in pixels of a 512px square. */
+  textShadowBlur: number;
+  textShadowOffsetX: number;
+  textShadowOffsetY: number;
+  /** Ordered effect pipeline. */
+  passes: PassEntry[];
+  /** Integer varying the noise, glitch and typing jitter patterns; the same seed renders the same frames. */
+  seed: number;
+  /** Lens pass. */
+  lensModel: 'brown' | 'fisheyeEquidistant' | 'fisheyeStereographic';
+  /** Radial k1; negative values give pincushion. */
+  distortion: number;
+  k2: number;
+  k3: number;
+  /** Tangential terms. */
+  p1: number;
+  p2: number;
+  /** Field of view of the fisheye models, in degrees. */
+  fisheyeFov: number;
+  /** Per-axis strength, for anamorphic squeeze. */
+  distortionX: number;
+  distortionY: number;
+  /** Distortion center in 0..1 output coordinates. */
+  lensCenterX: number;
+  lensCenterY: number;
+  zoom: number;
+  /** Blur pass, in pixels of a 512px square. */
+  blurAmount: number;
+  /** Glitch pass. */
+  glitchIntensity: number;
+  /** Noise pass. */
+  noise: number;
+  /** Scanlines pass. */
+  scanlineIntensity: number;
+  /** Chromatic aberration pass. */
+  aberration: number;
+  /** Bloom pass; the radius is in pixels of a 512px square. */
+  bloomIntensity: number;
+  bloomThreshold: number;
+  bloomRadius: number;
+  /** Phosphor mask pass; the size is one phosphor column in pixels of a 512px square. */
+  maskType: 'aperture' | 'shadow' | 'slot';
+  maskIntensity: number;
+  maskSize: number;
+  /** Vignette pass. */
+  vignetteIntensity: number;
+  vignetteSize: number;
+  /** Flicker & rolling bar pass. */
+  flicker: number;
+  rollingBar: number;
+  rollingBarSpeed: number;
+  /** Bezel pass; the radius is a fraction of the shorter side. */
+  bezelRadius: number;
+  bezelColor: string;
+  /** How image/video sources fill the output. */
+  mediaFit: MediaFit;
+  enableTypingAnimation: boolean;
+  /** What each typing step reveals. */
+  typingUnit: TypingUnit;
+  /** Milliseconds per step. */
+  typingFrameDuration: number;
+  /** 0..1 random variation of each step's duration. */
+  typingJitter: number;
+  /** Milliseconds to hold the full text. */
+  typingEndPause: number;
+  /** What happens to the text after the pause. */
+  typingDeleteMode: 'none' | 'backspace' | 'clear';
+  typingCursor: 'none' | TypingCursor;
+  typingLoop: boolean;
+  /** Keyframes animating the other settings over a clip. */
+  timeline: Timeline;
+  animationFormat: AnimationFormat;
+  /** Bundle PNG frame sequences in one ZIP. */
+  zipFrames: boolean;
+  videoFormat: VideoFormat;
+  /** Mbit/s. */
+  videoBitrate: number;
+  /** How the live preview samples the distorted image; exports always use 'high'. */
+  previewQuality: RenderQuality;
+  /** Exports render at this many times the output size per axis, then average down. */
+  exportSupersampling: 1 | 2 | 3 | 4;
+  /** Parameters of custom passes. */
+  [passParam: string]: unknown;
+}
+
+export type TypingUnit = 'character' | 'word' | 'line';
+
+/** 'high' adds mipmaps and footprint sampling where passes read their input minified. */
+export type RenderQuality = 'fast' | 'high';
+
+export type TypingCursor = 'block' | 'underscore';
+
+type TypingSettingKey = Extract<keyof BarrelDistortionSettings, `typing${string}`> | 'enableTypingAnimation';
+
+export declare const DEFAULT_SETTINGS: Readonly<BarrelDistortionSettings>;
+
+export declare const OUTPUT_SIZE_PRESETS: ReadonlyArray<{ label: string; width: number; height: number }>;
+
+/** Imperative handle exposed on `ref` and passed to `onReady`. */
+export interface BarrelDistortionCanvasApi {
+  getCanvas(): HTMLCanvasElement | null;
+  /**
+   * Draws one frame at `time` seconds; `overrides` apply to this frame only.
+   * @throws RendererError with code 'context-lost' while the GPU context is lost.
+   */
+  drawScene(time: number, overrides?: Partial<BarrelDistortionSettings>): void;
+  /** Re-renders the text texture with `text` without changing the props. */
+  updateTextTexture(text: string, overrides?: Partial<BarrelDistortionSettings>): void;
+  /** Stops the live loop and sizes the canvas to the full output resolution. */
+  beginCapture(): void;
+  /** Restores the preview size and restarts the live loop. */
+  endCapture(): void;
+}
+
+export interface BarrelDistortionCanvasProps
+  extends Partial<Omit<BarrelDistortionSettings, TypingSettingKey | 'timeline'>> {
+  ref?: Ref<BarrelDistortionCanvasApi>;
+  /** Number of characters of `text` to draw, in their final layout. */
+  visibleLength?: number;
+  cursor?: TypingCursor | null;
+  /** Holds the live preview's effects at this time in seconds; null follows the clock. */
+  frozenTime?: number | null;
+  /** Distorted instead of `text` when set. */
+  media?: BarrelMedia | null;
+  onReady?: (api: BarrelDistortionCanvasApi) => void;
+  /** Rendering problems; logged to the console when not given. */
+  onError?: (error: RendererError) => void;
+  /** The GPU context is back after a 'context-lost' error. */
+  onContextRestored?: () => void;
+  /** Enables dragging the lens center on the canvas. */
+  onLensCenterChange?: (x: number, y: number) => void;
+  className?: string;
+  style?: CSSProperties;
+}
+
+export declare function BarrelDistortionCanvas(props: BarrelDistortionCanvasProps): JSX.Element;
+
+export interface BarrelDistortionControlsProps {
+  settings: BarrelDistortionSettings;
+  onChange: (settings: BarrelDistortionSettings) => void;
+  disabled?: boolean;
+  /** Extra buttons rendered in the button row next to Reset. */
+  actions?: ReactNode;
+  children?: ReactNode;
+  /** Kind of media the owner currently shows, or null for text. */
+  mediaType?: BarrelSource['type'] | null;
+  /** Enables the Source section. */
+  onMediaFile?: (file: File) => void;
+  onWebcam?: () => void;
+  onClearMedia?: () => void;
+  /** Uploaded families listed in the Font select. */
+  customFonts?: string[];
+  /** Enables the font upload. */
+  onFontFile?: (file: File) => void;
+}
+
+export declare function BarrelDistortionControls(props: BarrelDistortionControlsProps): JSX.Element;
+
+export interface BarrelDistortionTimelineProps {
+  settings: BarrelDistortionSettings;
+  onChange: (settings: BarrelDistortionSettings) => void;
+  /** Previewed time in seconds. */
+  playhead: number;
+  onPlayheadChange: (time: number) => void;
+  /** Clip length when something other than the timeline sets it. */
+  duration?: number;
+  isPlaying: boolean;
+  onPlayingChange: (isPlaying: boolean) => void;
+  isFrozen?: boolean;
+  /** Shows the Freeze Frame checkbox. */
+  onFrozenChange?: (isFrozen: boolean) => void;
+  disabled?: boolean;
+}
+
+export declare function BarrelDistortionTimeline(props: BarrelDistortionTimelineProps): JSX.Element;
+
+export interface BarrelDistortionPresetsProps {
+  settings: BarrelDistortionSettings;
+  onChange: (settings: BarrelDistortionSettings) => void;
+  disabled?: boolean;
+}
+
+export declare function BarrelDistortionPresets(props: BarrelDistortionPresetsProps): JSX.Element;
+
+export declare function BarrelDistortionText(): JSX.Element;
+
+// --- Presets ---
+
+/** A preset file or localStorage entry. */
+export interface PresetDocument {
+  version: number;
+  name: string;
+  settings: BarrelDistortionSettings;
+}
+
+export interface Preset {
+  name: string;
+  settings: BarrelDistortionSettings;
+}
+
+export declare const PRESET_VERSION: number;
+/**
+ * Builds complete settings from untrusted input. Invalid or missing values fall
+ * back to the defaults; numbers are clamped to their ranges.
+ */
+export declare function validateSettings(input: unknown): { settings: BarrelDistortionSettings; warnings: string[] };
+export declare function createPreset(name: string, settings: BarrelDistortionSettings): PresetDocument;
+/**
+ * Reads a preset document or its JSON, migrating older versions.
+ * @throws Error for invalid JSON or a preset from a newer version.
+ */
+export declare function parsePreset(input: unknown): Preset & { warnings: string[] };
+export declare function getBuiltInPresets(): Preset[];
+export declare function loadSavedPresets(): Preset[];
+/** Saves under `name`, replacing a preset of the same name. Returns the saved presets. */
+export declare function savePreset(name: string, settings: BarrelDistortionSettings): Preset[];
+export declare function deletePreset(name: string): Preset[];
+export declare function loadSession(): BarrelDistortionSettings | null;
+export declare function saveSession(settings: BarrelDistortionSettings): void;
+
+// --- Undo history ---
+
+export interface History<T> {
+  past: T[];
+  present: T;
+  future: T[];
+  /** The keys and time of the last change, for coalescing. */
+  lastChange: { keys: string; time: number } | null;
+}
+
+export declare function createHistory<T>(present: T): History<T>;
+/**
+ * `history` with `next` as the present value. A change to the same keys as the
+ * last one, within half a second, replaces it instead of adding an entry.
+ */
+export declare function pushHistory<T extends object>(history: History<T>, next: T, time?: number): History<T>;
+export declare function undoHistory<T>(history: History<T>): History<T>;
+export declare function redoHistory<T>(history: History<T>): History<T>;
+/** useState with undo and redo of coalesced changes. */
+export declare function useHistory<T extends object>(initial: T | (() => T)): [
+  T,
+  (next: T | ((current: T) => T)) => void,
+  { undo: () => void; redo: () => void; canUndo: boolean; canRedo: boolean }
+];
+
+// --- Share links ---
+
+export declare const SHARE_LINK_VERSION: number;
+/** Compressed settings for a `#look=` URL hash. */
+export declare function encodeSettings(settings: BarrelDistortionSettings): string;
+/**
+ * Reads `encodeSettings` output, validated like a preset.
+ * @throws Error for damaged data or a newer link format.
+ */
+export declare function decodeSettings(encoded: string): { settings: BarrelDistortionSettings; warnings: string[] };
+/** `url` (default: the current page) with its hash replaced by the encoded settings. */
+export declare function getShareUrl(settings: BarrelDistortionSettings, url?: string): string;
+export declare function hasSettingsHash(hash?: string): boolean;
+/** Settings from a `#look=` hash (default: the current one), or null. */
+export declare function readSettingsFromHash(hash?: string): BarrelDistortionSettings | null;
+
+// --- Typing animation ---
+
+/** drawText options for one moment of a typing animation. */
+export interface TypingState {
+  /** Characters of the text to draw; the layout stays that of the full text. */
+  visibleLength: number;
+  cursor: TypingCursor | null;
+}
+
+export interface TypingSchedule {
+  /** Each step shows `length` characters from `time` seconds on. */
+  steps: Array<{ time: number; length: number }>;
+  /** Seconds for one run, including the pause and deletion. */
+  duration: number;
+}
+
+/** Visible lengths after each step of typing `text` unit by unit. */
+export declare function getRevealPoints(text: string, unit: TypingUnit): number[];
+export declare function createTypingSchedule(
+  text: string,
+  settings?: Partial<Pick<BarrelDistortionSettings, 'typingUnit' | 'typingFrameDuration' | 'typingEndPause' | 'typingJitter' | 'typingDeleteMode' | 'seed'>>
+): TypingSchedule;
+export declare function getTypingState(
+  schedule: TypingSchedule,
+  time: number,
+  settings?: Partial<Pick<BarrelDistortionSettings, 'typingCursor' | 'typingLoop'>>
+): TypingState;
+
+// --- Keyframe timeline ---
+
+export type Easing = 'linear' | 'easeIn' | 'easeOut' | 'easeInOut' | 'step';
+
+export interface Keyframe {
+  /** Seconds from the start of the clip. */
+  time: number;
+  /** A number or a hex color. */
+  value: unknown;
+  /** Easing of the segment that starts at this keyframe. */
+  easing: Easing;
+}
+
+export interface Timeline {
+  /** Clip length in seconds. */
+  duration: number;
+  fps: number;
+  /** Settings key -> keyframes sorted by time. */
+  tracks: Record<string, Keyframe[]>;
+}
+
+export declare const DEFAULT_TIMELINE: Readonly<Timeline>;
+export declare const EASINGS: Record<Easing, (t: number) => number>;
+/** Settings that can be keyframed. */
+export declare function getAnimatableParams(): Array<{ key: string; label: string }>;
+export declare function hasKeyframes(timeline: Timeline | undefined): boolean;
+export declare function evaluateTrack(keyframes: Keyframe[], time: number): unknown;
+/** `settings` with every keyframed setting replaced by its value at `time` seconds. */
+export declare function evaluateTimeline<T extends { timeline?: Timeline }>(settings: T, time: number): T;
+/** Adds a keyframe, replacing one within half a frame of the same time. */
+export declare function setKeyframe(
+  timeline: Timeline,
+  key: string,
+  keyframe: Omit<Keyframe, 'easing'> & { easing?: Easing }
+): Timeline;
+export declare function updateKeyframe(timeline: Timeline, key: string, index: number, patch: Partial<Keyframe>): Timeline;
+export declare function removeKeyframe(timeline: Timeline, key: string, index: number): Timeline;
+
+/** Effect parameters understood by `BarrelRenderer#setParams`. */
+export type BarrelRendererParams = Pick<
+  BarrelDistortionSettings,
+  | 'passes'
+  | 'distortion'
+  | 'zoom'
+  | 'noise'
+  | 'scanlineIntensity'
+  | 'bgColor'
+  | 'bgOpacity'
+  | 'transparencyMode'
+  | 'blurAmount'
+  | 'glitchIntensity'
+  | 'seed'
+> & {
+  /** Defaults to 'high'. */
+  quality?: RenderQuality;
+  /** Renders at 1–4× the canvas size per axis and averages down; defaults to 1. */
+  supersampling?: number;
+  [passParam: string]: unknown;
+};
+
+// --- Effect passes ---
+
+export interface PassEntry {
+  id: string;
+  enabled?: boolean;
+}
+
+export interface PassParam {
+  key: string;
+  label: string;
+  type?: 'range' | 'checkbox' | 'select' | 'color';
+  min?: number;
+  max?: number;
+  step?: number;
+  options?: Array<{ value: string; label: string }>;
+  default: unknown;
+}
+
+export interface PassFrame {
+  time: number;
+  /** Output size in pixels. */
+  width: number;
+  height: number;
+  /** Shorter output side / REFERENCE_SIZE. */
+  resolutionScale: number;
+  texelSize: [number, number];
+  aspect: [number, number];
+  /** Rendered pixels per canvas pixel along each axis. */
+  supersampling: number;
+  /** One rendered pixel in uv: 1 / (canvas size × supersampling). */
+  pixelSize: [number, number];
+}
+
+export type PassUniformValue = number | boolean | string | number[];
+
+export interface Pass {
+  id: string;
+  label?: string;
+  /** Declares its uniforms and defines `vec4 effect(vec2 uv)`. */
+  glsl: string;
+  /** Uniform name -> settings key, or a function computing the value. */
+  uniforms?: Record<string, string | ((params: BarrelRendererParams, frame: PassFrame) => PassUniformValue)>;
+  params?: PassParam[];
+  /** Return false to skip the pass when its settings make it a no-op. */
+  isActive?: (params: BarrelRendererParams) => boolean;
+  /** Runs the pass once per entry, with that entry's uniform values added. */
+  steps?: Array<Record<string, PassUniformValue>>;
+  /** Reads a mipmapped input in 'high' quality. */
+  mipmaps?: boolean;
+}
+
+export declare const BUILT_IN_PASSES: ReadonlyArray<Pass>;
+export declare const DEFAULT_PASSES: ReadonlyArray<PassEntry>;
+/** Adds or replaces a pass; add `{ id }` to `passes` to use it. */
+export declare function registerPass(pass: Pass): void;
+export declare function getPass(id: string): Required<Pass> | undefined;
+export declare function getRegisteredPasses(): Array<Required<Pass>>;
+/** Lens uniforms set for every pass, in the same format as `Pass#uniforms`. */
+export declare const LENS_UNIFORMS: NonNullable<Pass['uniforms']>;
+export declare function getPassDefaults(passes: ReadonlyArray<Pass>): Record<string, unknown>;
+
+/** A canvas at the output size that `BarrelRenderer` uploads. */
+export interface BarrelSource {
+  type: 'text' | 'image' | 'video' | 'stream';
+  /** Redrawn via `update()` and re-uploaded on every frame. */
+  dynamic: boolean;
+  element: HTMLCanvasElement;
+  setSize(width: number, height: number): void;
+  update?(time: number): void;
+  dispose(): void;
+}
+
+export interface TextSource extends BarrelSource {
+  type: 'text';
+  draw(text: string, options: Parameters<typeof drawText>[2]): void;
+}
+
+export interface MediaSource extends BarrelSource {
+  media: Exclude<BarrelMedia, MediaStream> | HTMLVideoElement;
+  draw(options: BackgroundSettings & Pick<BarrelDistortionSettings, 'mediaFit'>): void;
+}
+
+export declare function createTextSource(size: { width: number; height: number }): TextSource;
+export declare function createMediaSource(media: BarrelMedia, size: { width: number; height: number }): MediaSource;
+export declare function drawMedia(
+  canvas: HTMLCanvasElement,
+  media: Exclude<BarrelMedia, MediaStream>,
+  options: BackgroundSettings & { mediaFit?: MediaFit }
+): void;
+/** Resolves to an <img>, or a looping muted <video> for video files/URLs. */
+export declare function loadMediaFile(file: File | string): Promise<HTMLImageElement | HTMLVideoElement>;
+export declare function openWebcam(): Promise<MediaStream>;
+
+export type BarrelRendererSource = TexImageSource | BarrelSource;
+
+export type RendererErrorCode = 'unavailable' | 'shader' | 'context-lost' | 'unsupported';
+
+/** What renderers report to `onError`, or throw when none can be created. */
+export declare class RendererError extends Error {
+  constructor(code: RendererErrorCode, message: string, options?: { cause?: unknown });
+  readonly name: 'RendererError';
+  readonly code: RendererErrorCode;
+}
+export declare function isRendererError(error: unknown): error is RendererError;
+
+export interface RendererOptions {
+  /** Problems that don't stop rendering; logged to the console when not given. */
+  onError?: (error: RendererError) => void;
+  /** Called after a lost WebGL context is restored and rebuilt. */
+  onContextRestored?: () => void;
+}
+
+/** Framework-agnostic WebGL renderer used by `BarrelDistortionCanvas`. */
+export declare class BarrelRenderer {
+  /** Prefers WebGL2. @throws RendererError 'unavailable' when the canvas has no WebGL support. */
+  constructor(canvas: HTMLCanvasElement, options?: RendererOptions);
+  readonly canvas: HTMLCanvasElement;
+  readonly isWebGL2: boolean;
+  /** True between a context loss and its restoration; frames are not drawn meanwhile. */
+  readonly contextLost: boolean;
+  setParams(params: Partial<BarrelRendererParams>): void;
+  /**
+   * Uploads the texture to distort; call again after redrawing the same
+   * element. Dynamic sources are re-uploaded on every `render`. Its size is
+   * the output resolution; the canvas may be smaller but should keep the same
+   * aspect ratio.
+   */
+  setSource(source: BarrelRendererSource): void;
+  /** Draws one frame at `time` seconds. */
+  render(time: number): void;
+  /** Holds the live loop at `time` seconds, or follows the clock again with null. */
+  setFrozenTime(time: number | null): void;
+  start(): void;
+  stop(): void;
+  /** Stops the loop and deletes the programs, shaders, buffers, framebuffers and textures. */
+  dispose(): void;
+}
+
+/**
+ * Same interface as `BarrelRenderer`, drawing on a 2D canvas with CPU ports
+ * of the built-in passes; custom passes are skipped.
+ */
+export declare class Canvas2DRenderer {
+  /** @throws RendererError 'unsupported' when the canvas has no 2D context. */
+  constructor(
+    canvas: HTMLCanvasElement,
+    options?: Pick<RendererOptions, 'onError'> & {
+      /** Scratch canvases for reading sources back; a DOM canvas by default. */
+      createCanvas?: (width: number, height: number) => HTMLCanvasElement;
+    }
+  );
+  readonly canvas: HTMLCanvasElement;
+  setParams(params: Partial<BarrelRendererParams>): void;
+  setSource(source: BarrelRendererSource): void;
+  /** Draws one frame at `time` seconds, at the full canvas size. */
+  render(time: number): void;
+  setFrozenTime(time: number | null): void;
+  /**
+   * Starts the live preview, which redraws only after a change or for a
+   * dynamic source, a few times a second at most and at a reduced size.
+   */
+  start(): void;
+  stop(): void;
+  dispose(): void;
+}
+
+/**
+ * A `BarrelRenderer`, or a `Canvas2DRenderer` without WebGL (reported to
+ * `onError` as 'unavailable').
+ * @throws RendererError 'unsupported' when neither can be created.
+ */
+export declare function createRenderer(
+  canvas: HTMLCanvasElement,
+  options?: RendererOptions
+): BarrelRenderer | Canvas2DRenderer;
+
+export declare const vsSource: string;
+/** Uniforms and GLSL helpers (`random`, `lensMap`, `inBounds`) shared by every pass. */
+export declare const fsHeader: string;
+/** Wraps a pass snippet into a complete fragment shader. */
+export declare function buildFragmentSource(passSource: string): string;
+
+/**
+ * Compiles a vertex or fragment shader.
+ * @throws RendererError 'shader' with the driver's log, prefixed by `label`, if it fails.
+ */
+export declare function compileShader(
+  gl: WebGLRenderingContext | WebGL2RenderingContext,
+  source: string,
+  type: number,
+  label?: string
+): WebGLShader;
+
+/** Parses a color into 0..1 channels, dropping alpha; the '#' of hex colors is optional. */
+export declare function hexToRgb(hex: string): { r: number; g: number; b: number } | null;
+
+export declare function wrapText(
+  context: CanvasRenderingContext2D,
+  text: string,
+  maxWidth: number
+): string[];
+
+/** Sizes are authored for a square of this many pixels. */
+export declare const REFERENCE_SIZE: number;
+
+export declare function getResolutionScale(width: number, height: number): number;
+
+
+// --- Colors and backgrounds ---
+
+/** Channels in 0..1, alpha straight (not premultiplied). */
+export interface RgbaColor {
+  r: number;
+  g: number;
+  b: number;
+  a: number;
+}
+
+/** CSS named colors as 0xRRGGBB. */
+export declare const NAMED_COLORS: Readonly<Record<string, number>>;
+/**
+ * Parses '#rgb', '#rgba', '#rrggbb', '#rrggbbaa', rgb()/rgba(), hsl()/hsla(),
+ * named colors and 'transparent'; null for anything else.
+ */
+export declare function parseColor(value: unknown): RgbaColor | null;
+export declare function isColor(value: unknown): boolean;
+/** '#rrggbb', or '#rrggbbaa' when not opaque. */
+export declare function formatColor(color: Omit<RgbaColor, 'a'> & { a?: number }): string;
+/** '#rrggbb' for <input type="color">; alpha is dropped and invalid values give black. */
+export declare function toHexColor(value: string): string;
+/** An rgba() string with the alpha multiplied by `opacity`; invalid values are returned unchanged. */
+export declare function toCssColor(value: string, opacity?: number): string;
+/** Interpolates in straight RGBA; null if either end is not a color. */
+export declare function mixColors(from: string, to: string, t: number): string | null;
+
+type BackgroundSettings = Pick<BarrelDistortionSettings, 'bgColor' | 'transparencyMode'> &
+  Partial<Pick<BarrelDistortionSettings, 'bgOpacity' | 'bgGradient' | 'bgGradientColor' | 'bgGradientAngle'>>;
+
+/** Schema of the background settings other than `bgColor`, in the format of pass params. */
+export declare const BACKGROUND_PARAMS: ReadonlyArray<Omit<PassParam, 'default'>>;
+/** Replaces the canvas contents with the background fill. */
+export declare function drawBackground(canvas: HTMLCanvasElement, options: BackgroundSettings): void;
+/** The solid background as straight RGBA, as `BarrelRenderer` clears to it. */
+export declare function getClearColor(
+  options: Pick<BarrelDistortionSettings, 'bgColor' | 'transparencyMode'> & { bgOpacity?: number }
+): RgbaColor;
+/** Whether frames can have transparent pixels, so exports need an alpha channel. */
+export declare function hasTransparency(options: BackgroundSettings): boolean;
+
+// --- Text layout ---
+
+/** Style of one character of marked-up text; `color` null uses the fill settings. */
+export interface TextStyle {
+  bold: boolean;
+  color: string | null;
+}
+
+/** A laid-out line; offsets index the plain text. */
+export interface TextLine {
+  start: number;
+  end: number;
+  words: Array<{ start: number; end: number }>;
+  /** The line continues on the next one. */
+  wrapped: boolean;
+}
+
+type TextStyleSettingKey =
+  | 'fontFamily' | 'fontWeight' | 'fontItalic' | 'letterSpacing' | 'textAlign' | 'textPadding'
+  | 'textStrokeWidth' | 'textStrokeColor' | 'textGradient' | 'textGradientColor'
+  | 'textShadowColor' | 'textShadowOpacity' | 'textShadowBlur' | 'textShadowOffsetX' | 'textShadowOffsetY';
+
+/** Schema of the text style settings, in the format of pass params; defaults are in `DEFAULT_SETTINGS`. */
+export declare const TEXT_STYLE_PARAMS: ReadonlyArray<Omit<PassParam, 'default'>>;
+/**
+ * Strips the markup (`**bold**`, `{color:<CSS color>}…{/color}`, `\*` `\{` `\\` escapes)
+ * and returns the style of each remaining character.
+ */
+export declare function parseMarkup(text: string): { plain: string; styles: TextStyle[] };
+export declare function getPlainText(text: string): string;
+/** Wraps the plain text at spaces to `maxWidth`; `measure` gives the width of a range. */
+export declare function breakLines(
+  plain: string,
+  measure: (start: number, end: number) => number,
+  maxWidth: number
+): TextLine[];
+/** Draws the text source. Load the font first (`loadFont`). */
+export declare function drawText(
+  textCanvas: HTMLCanvasElement,
+  text: string,
+  options: Pick<BarrelDistortionSettings, 'fontSize' | 'lineSpacing' | 'fontColor'> &
+    BackgroundSettings &
+    Partial<Pick<BarrelDistortionSettings, TextStyleSettingKey>> &
+    Partial<TypingState>
+): void;
+
+// --- Fonts ---
+
+/** Families offered by the controls panel. */
+export declare const FONT_FAMILIES: ReadonlyArray<string>;
+/** `accept` value for font file inputs. */
+export declare const FONT_FILE_TYPES: string;
+type FontSettings = Pick<BarrelDistortionSettings, 'fontFamily' | 'fontWeight' | 'fontItalic'>;
+/** CSS font shorthand; `fontSize` in pixels. */
+export declare function getFontString(font: FontSettings & { fontSize: number }): string;
+/** Weight of **bold** markup over `fontWeight`. */
+export declare function getBoldWeight(fontWeight: number): number;
+/** Resolves once the faces for drawing `text` are loaded (or failed to load). */
+export declare function loadFont(settings: FontSettings, text?: string): Promise<void>;
+export declare function isFontLoaded(settings: FontSettings, text?: string): boolean;
+/** Registers a .ttf/.otf/.woff/.woff2 file with the FontFace API; resolves to its family name. */
+export declare function loadFontFile(file: File): Promise<string>;
+
+export interface GifOptions {
+  workers?: number;
+  quality?: number;
+  workerScript?: string;
+  width?: number;
+  height?: number;
+  [option: string]: unknown;
+}
+
+/**
+ * Overrides the bundled gif.js constructor and/or worker script URL, for apps
+ * that already host their own copy.
+ */
+export declare function configureGif(options: { GIF?: new (options: GifOptions) => unknown; workerScript?: string }): void;
+
+export declare function createGif(options?: GifOptions): any;
+
+// --- Animated image export ---
+
+export type AnimationFormat = 'gif' | 'apng' | 'webp';
+
+export declare const ANIMATION_FORMATS: Record<AnimationFormat, { label: string; extension: string }>;
+
+export interface AnimationEncoder {
+  /** Encodes what is currently drawn on the canvas as the next frame. */
+  addFrame(canvas: HTMLCanvasElement): Promise<void>;
+  /** `onProgress` (0..1) reports encoding that happens after the last frame (GIF). */
+  finish(onProgress?: (progress: number) => void): Blob | Promise<Blob>;
+  /** Abandons the file; a pending `finish` rejects with an AbortError. */
+  cancel(): void;
+}
+
+export interface AnimationEncoderOptions {
+  fps?: number;
+  /** false plays the animation once. */
+  loop?: boolean;
+}
+
+export declare function createAnimationEncoder(format: AnimationFormat, options?: AnimationEncoderOptions): AnimationEncoder;
+/** Animated PNG with 8-bit alpha, from the browser's PNG encoder. */
+export declare function createApngEncoder(options?: AnimationEncoderOptions): AnimationEncoder;
+/** Animated WebP with 8-bit alpha, from the browser's WebP encoder. */
+export declare function createWebpEncoder(options?: AnimationEncoderOptions & { quality?: number }): AnimationEncoder;
+
+export declare function canvasToBlob(canvas: HTMLCanvasElement, type?: string, quality?: number): Promise<Blob>;
+
+// --- Export jobs ---
+
+/**
+ * Calls `renderFrame(index)` for every frame, yielding to the browser between
+ * slices of frames. Rejects with an AbortError once `signal` is aborted.
+ */
+export declare function renderFrames(
+  numFrames: number,
+  renderFrame: (index: number) => void | Promise<void>,
+  options?: { signal?: AbortSignal; onProgress?: (progress: number) => void }
+): Promise<void>;
+export declare function isAbortError(error: unknown): boolean;
+
+// --- Video export ---
+
+export type VideoFormat = 'webm' | 'mp4';
+
+export declare const VIDEO_FORMATS: Record<VideoFormat, { label: string; mimeType: string; extension: string }>;
+
+/** Whether WebCodecs or MediaRecorder can produce `format` here. */
+export declare function isVideoFormatSupported(format: VideoFormat): boolean;
+
+/**
+ * Whether video is recorded in real time through MediaRecorder (no
+ * WebCodecs): exports take as long as the clip and slow frames stutter.
+ */
+export declare function isVideoRealTime(): boolean;
+
+export interface VideoEncoderOptions {
+  format?: VideoFormat;
+  fps?: number;
+  /** Bits per second. */
+  bitrate?: number;
+  /** Keep transparency; WebM only. */
+  alpha?: boolean;
+  /** Rejects an `addFrame` waiting for the encoder once aborted. */
+  signal?: AbortSignal;
+}
+
+export interface BarrelVideoEncoder {
+  /** Encodes what is currently drawn on the canvas as the next frame. */
+  addFrame(canvas: HTMLCanvasElement): Promise<void>;
+  finish(): Promise<Blob>;
+  cancel(): void;
+}
+
+/** @throws Error when the browser cannot encode the format at the canvas size. */
+export declare function createVideoEncoder(canvas: HTMLCanvasElement, options?: VideoEncoderOptions): Promise<BarrelVideoEncoder>;
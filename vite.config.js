@@ -1,7 +1,35 @@
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // `vite build --mode lib` produces the publishable package in lib/: the
+  // full entry and `core`, which needs neither React nor a DOM. Everything
+  // else builds or serves the demo app.
+  if (mode === 'lib') {
+    return {
+      plugins: [react()],
+      publicDir: false,
+      build: {
+        outDir: 'lib',
+        lib: {
+          entry: {
+            index: resolve(import.meta.dirname, 'src/index.js'),
+            core: resolve(import.meta.dirname, 'src/core.js'),
+          },
+          formats: ['es', 'cjs'],
+          fileName: (format, entryName) => `${entryName}.${format === 'es' ? 'js' : 'cjs'}`,
+          cssFileName: 'style',
+        },
+        rollupOptions: {
+          external: ['react', 'react-dom', 'react/jsx-runtime'],
+        },
+      },
+    }
+  }
+
+  return {
+    plugins: [react()],
+  }
 })